@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * cli.js — batch runs from brand input files
+ *
+ * Usage:
+ *   node cli.js [options] <input.json | directory> ...
+ *
+ * Each file holds one job input, the same object POST /api/jobs takes as input_json; a directory
+ * runs every *.json in it (sorted by name). Jobs run one after another.
+ *
+ * Options:
+ *   --out <dir>          Local: OUTPUTS_DIR for the run (outputs land in <dir>/<jobId>/).
+ *                        Remote: where each job's ZIP is saved. Default ./outputs
+ *   --server <url>       Run on a Stay Contented server instead of in-process
+ *   --api-key <key>      Workspace API key for --server (default: STAY_CONTENTED_API_KEY)
+ *   --stages <list>      e.g. plan,captions; sets input.stages (runs up to the last listed stage)
+ *   --provider <name>    Sets input.provider (openai, openai_compatible, mock)
+ *   --dry-run            Local: print every compiled prompt, with mock responses standing in for the
+ *                        model (nothing is kept: brand.website is not fetched and no brand profile is
+ *                        saved). Remote: print the cost estimate instead
+ *
+ * Local runs write <out>/batch.json (input file -> job id, status, outputs, cost) and exit
+ * non-zero if any job did not finish.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+
+// ---------------------- Arguments ----------------------
+const USAGE =
+  "Usage: node cli.js [--out dir] [--server url] [--api-key key] [--stages a,b] [--provider name] [--dry-run] " +
+  "<input.json|dir> ...";
+const POLL_MS = 2000;
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      out: { type: "string", default: "outputs" },
+      server: { type: "string" },
+      "api-key": { type: "string" },
+      stages: { type: "string" },
+      provider: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false }
+    }
+  });
+  return { ...values, inputs: positionals };
+}
+
+// Files as given, directories expanded to their *.json
+function collectInputFiles(inputs) {
+  return inputs.flatMap((input) => {
+    if (!fs.existsSync(input)) throw new Error(`${input}: no such file or directory`);
+    if (!fs.statSync(input).isDirectory()) return [input];
+    return fs
+      .readdirSync(input)
+      .filter((name) => name.endsWith(".json"))
+      .sort()
+      .map((name) => path.join(input, name));
+  });
+}
+
+function readInput(file, { stages, provider }) {
+  const input = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (stages) input.stages = stages.split(",").map((s) => s.trim()).filter(Boolean);
+  if (provider) input.provider = provider;
+  return input;
+}
+
+function label(input) {
+  return `${input.brand?.name || "brand"} ${input.campaign?.month || ""}`.trim();
+}
+
+// ---------------------- Local runs ----------------------
+// Mock responses keep the pipeline moving; every prompt is printed instead of sent
+function dryRunProvider(mock) {
+  return {
+    ...mock,
+    name: "dry-run",
+    async generateText(messages, opts = {}) {
+      const prompt = messages.filter((m) => m.role === "user").at(-1)?.content || "";
+      console.log(`\n===== ${opts.stage || "text"} =====\n${prompt}`);
+      return mock.generateText(messages, opts);
+    },
+    async generateImage(opts) {
+      console.log(`\n===== image ${opts.stage || ""} (${opts.width}x${opts.height}) =====\n${opts.prompt}`);
+      return mock.generateImage(opts);
+    }
+  };
+}
+
+async function runLocal(files, options) {
+  const outDir = path.resolve(options.out);
+  // Both are read when server.js loads, so they have to be set before the import
+  process.env.STAY_CONTENTED_EMBEDDED = "true";
+  process.env.OUTPUTS_DIR = options["dry-run"]
+    ? fs.mkdtempSync(path.join(os.tmpdir(), "stay-contented-dry-run-"))
+    : outDir;
+  const server = await import("./server.js");
+  const provider = options["dry-run"] ? dryRunProvider(server.getProvider("mock")) : undefined;
+
+  const results = [];
+  for (const file of files) {
+    const result = { file, status: "error" };
+    results.push(result);
+    try {
+      const input = readInput(file, options);
+      result.brand = label(input);
+      const inputError = server.jobInputError(input);
+      if (inputError) {
+        throw new Error([inputError.error, ...(inputError.details || [])].join("; "));
+      }
+
+      const job = server.newJob(input);
+      server.jobs.set(job.id, job);
+      server.saveJobToFile(job);
+      result.job_id = job.id;
+      console.error(`[${result.brand}] job ${job.id} started (${file})`);
+
+      await server.runJob(job.id, { provider, dryRun: options["dry-run"] });
+      Object.assign(result, {
+        status: job.status,
+        error: job.error,
+        outputs: options["dry-run"] ? undefined : path.join(outDir, job.id),
+        cost_usd: job.usage?.totals?.cost_usd
+      });
+      if (options["dry-run"]) {
+        server.jobs.delete(job.id);
+        fs.rmSync(path.join("jobs", job.id), { recursive: true, force: true });
+      }
+    } catch (err) {
+      result.error = err.message;
+    }
+    console.error(`[${result.brand || file}] ${result.status}${result.error ? `: ${result.error}` : ""}`);
+  }
+
+  if (options["dry-run"]) {
+    fs.rmSync(process.env.OUTPUTS_DIR, { recursive: true, force: true });
+  } else {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, "batch.json"), JSON.stringify({ runs: results }, null, 2));
+    console.error(`Summary written to ${path.join(outDir, "batch.json")}`);
+  }
+  return results;
+}
+
+// ---------------------- Remote runs ----------------------
+async function api(server, apiKey, pathname, init = {}) {
+  const res = await fetch(new URL(pathname, server), {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${apiKey}` }
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(`${init.method || "GET"} ${pathname} failed (${res.status}): ${body.error || res.statusText}`);
+  }
+  return res;
+}
+
+async function runRemote(files, options) {
+  const apiKey = options["api-key"] || process.env.STAY_CONTENTED_API_KEY;
+  if (!apiKey) throw new Error("--server needs --api-key or STAY_CONTENTED_API_KEY");
+  const outDir = path.resolve(options.out);
+
+  const results = [];
+  for (const file of files) {
+    const result = { file, status: "error" };
+    results.push(result);
+    try {
+      const input = readInput(file, options);
+      result.brand = label(input);
+
+      if (options["dry-run"]) {
+        const res = await api(options.server, apiKey, "/api/jobs/estimate", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(input)
+        });
+        const estimate = await res.json();
+        console.log(`\n===== ${result.brand} (${file}) =====`);
+        for (const line of estimate.lines) {
+          console.log(`${line.stage.padEnd(24)} ${String(line.calls).padStart(3)} call(s)  $${line.cost_usd ?? "?"}`);
+        }
+        console.log(`${"total".padEnd(24)}               $${estimate.totals.cost_usd ?? "?"}`);
+        result.status = "estimated";
+        result.cost_usd = estimate.totals.cost_usd;
+        continue;
+      }
+
+      const form = new FormData();
+      form.append("input_json", JSON.stringify(input));
+      const { jobId } = await (await api(options.server, apiKey, "/api/jobs", { method: "POST", body: form })).json();
+      result.job_id = jobId;
+      console.error(`[${result.brand}] job ${jobId} started (${file})`);
+
+      let job;
+      let lastProgress = -1;
+      for (;;) {
+        job = await (await api(options.server, apiKey, `/api/jobs/${jobId}`)).json();
+        if (job.progress !== lastProgress) {
+          console.error(`[${result.brand}] ${job.status} ${job.progress}%`);
+          lastProgress = job.progress;
+        }
+        if (!["queued", "running"].includes(job.status)) break;
+        await new Promise((resolve) => setTimeout(resolve, POLL_MS));
+      }
+      Object.assign(result, { status: job.status, error: job.error, cost_usd: job.usage?.totals?.cost_usd });
+
+      if (job.status === "done") {
+        const zip = await api(options.server, apiKey, `${job.downloads.zip}&include=all`);
+        const zipPath = path.join(outDir, `${path.basename(file, ".json")}_${jobId}.zip`);
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(zipPath, Buffer.from(await zip.arrayBuffer()));
+        result.outputs = zipPath;
+      }
+    } catch (err) {
+      result.error = err.message;
+    }
+    console.error(`[${result.brand || file}] ${result.status}${result.error ? `: ${result.error}` : ""}`);
+  }
+  return results;
+}
+
+// ---------------------- Main ----------------------
+async function main() {
+  let options;
+  let files;
+  try {
+    options = parseCli(process.argv.slice(2));
+    if (options.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    files = collectInputFiles(options.inputs);
+    if (!files.length) throw new Error("no input files");
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const results = options.server ? await runRemote(files, options) : await runLocal(files, options);
+  const failed = results.filter((r) => !["done", "estimated"].includes(r.status));
+  console.error(`${results.length - failed.length}/${results.length} finished`);
+  return failed.length ? 1 : 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(err.message);
+    process.exit(1);
+  }
+);
@@ -6,6 +6,74 @@ function showStatus(html) {
   statusEl.classList.remove("hidden");
 }
 
+// Accounts: the plan form is only shown to a logged-in workspace member
+const authForm = document.getElementById("authForm");
+const accountEl = document.getElementById("account");
+
+function showLogin(message) {
+  form.classList.add("hidden");
+  packsEl.classList.add("hidden");
+  accountEl.classList.add("hidden");
+  authForm.classList.remove("hidden");
+  if (message) showStatus(message);
+}
+
+function showApp(me) {
+  authForm.classList.add("hidden");
+  form.classList.remove("hidden");
+  accountEl.innerHTML = `${escapeHtml(me.user?.email || "API key")} · ${escapeHtml(me.workspace.name)} <button type="button" id="packsButton">My past packs</button> <button type="button" id="logoutButton">Log out</button>`;
+  accountEl.classList.remove("hidden");
+  packsEl.classList.remove("hidden");
+  loadPacks();
+  document.getElementById("packsButton").addEventListener("click", () => packsEl.scrollIntoView({ behavior: "smooth" }));
+  document.getElementById("logoutButton").addEventListener("click", async () => {
+    await fetch("/api/auth/logout", { method: "POST" }).catch(() => {});
+    showLogin();
+  });
+}
+
+async function checkSession() {
+  try {
+    const res = await fetch("/api/auth/me", { cache: "no-store" });
+    if (res.ok) return showApp(await res.json());
+  } catch (err) {
+    // fall through to the login form
+  }
+  showLogin();
+}
+
+authForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
+  const data = new FormData(authForm);
+  const signup = e.submitter?.value === "signup";
+  const body = { email: data.get("email"), password: data.get("password") };
+  if (signup) body.workspace_name = data.get("workspaceName");
+
+  let res;
+  try {
+    res = await fetch(signup ? "/api/auth/signup" : "/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  } catch (err) {
+    showStatus(`<strong>Network error:</strong> Could not reach backend.`);
+    return;
+  }
+
+  const result = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    showStatus(`<strong>Error:</strong> ${escapeHtml(result.error || res.status)}${result.details ? ` — ${escapeHtml(result.details.join("; "))}` : ""}`);
+    return;
+  }
+
+  statusEl.classList.add("hidden");
+  showApp(result);
+});
+
+checkSession();
+
 // Handle industry dropdown "Other" option
 const industrySelect = document.querySelector('select[name="industry"]');
 const industryOtherGroup = document.getElementById("industryOtherGroup");
@@ -20,6 +88,16 @@ industrySelect.addEventListener("change", function() {
   }
 });
 
+// Product name/photos only apply to "AI Model / Product" mode
+const modeSelect = document.querySelector('select[name="mode"]');
+const productOnlyGroups = document.querySelectorAll(".product-only");
+
+modeSelect.addEventListener("change", function() {
+  productOnlyGroups.forEach((group) => {
+    group.style.display = this.value === "product_model" ? "flex" : "none";
+  });
+});
+
 async function pollJob(jobId) {
   while (true) {
     let res;
@@ -32,6 +110,11 @@ async function pollJob(jobId) {
       return;
     }
 
+    if (res.status === 401) {
+      showLogin("<strong>Session expired.</strong> Log in again to see this job.");
+      return;
+    }
+
     if (!res.ok) {
       const text = await res.text().catch(() => "");
       showStatus(
@@ -47,21 +130,31 @@ async function pollJob(jobId) {
       return;
     }
 
+    if (job.status === "paused") {
+      showStatus(`<strong>Paused:</strong> ${job.error}. Raise the workspace budget, then resume the job.`);
+      return;
+    }
+
     if (job.status === "done") {
+      // Download links are signed and expire (job.downloads.expiresAt)
+      const q = job.downloads.query;
       showStatus(`
-        <strong>Done.</strong><br/>
+        <strong>Done.</strong> Review the posts below; the .zip only includes approved posts.<br/>
+        <details><summary>Raw files</summary>
         <ul>
-          <li><a href="/downloads/${jobId}.zip" target="_blank" rel="noopener"><strong>Download everything (.zip)</strong></a></li>
-          <li><a href="/downloads/${jobId}/content_plan.json" target="_blank" rel="noopener">content_plan.json</a></li>
-          <li><a href="/downloads/${jobId}/captions.json" target="_blank" rel="noopener">captions.json</a></li>
-          <li><a href="/downloads/${jobId}/editorial_visuals.json" target="_blank" rel="noopener">editorial_visuals.json</a></li>
-          <li><a href="/downloads/${jobId}/editorial_visuals_compiled.json" target="_blank" rel="noopener">editorial_visuals_compiled.json</a></li>
-          <li><a href="/downloads/${jobId}/product_model_briefs.json" target="_blank" rel="noopener">product_model_briefs.json</a></li>
+          <li><a href="${job.downloads.zip}&include=all" target="_blank" rel="noopener">Everything, unreviewed (.zip)</a></li>
+          <li><a href="/downloads/${jobId}/content_plan.json?${q}" target="_blank" rel="noopener">content_plan.json</a></li>
+          <li><a href="/downloads/${jobId}/captions.json?${q}" target="_blank" rel="noopener">captions.json</a></li>
+          <li><a href="/downloads/${jobId}/editorial_visuals.json?${q}" target="_blank" rel="noopener">editorial_visuals.json</a></li>
+          <li><a href="/downloads/${jobId}/editorial_visuals_compiled.json?${q}" target="_blank" rel="noopener">editorial_visuals_compiled.json</a></li>
+          <li><a href="/downloads/${jobId}/product_model_briefs.json?${q}" target="_blank" rel="noopener">product_model_briefs.json</a></li>
         </ul>
-        <p style="margin-top:10px;">
-          <a href="/downloads/${jobId}/Editorial_Posts/" target="_blank" rel="noopener">Open Editorial_Posts folder</a>
-        </p>
+        ${(job.input?.campaign?.platforms || []).slice(1).map((p) => `
+          <p><a href="/downloads/${jobId}/Platforms/${p}/captions.json?${q}" target="_blank" rel="noopener">${p}: captions.json</a></p>
+        `).join("")}
+        </details>
       `);
+      openReview(jobId);
       return;
     }
 
@@ -70,6 +163,59 @@ async function pollJob(jobId) {
   }
 }
 
+// Live progress over Server-Sent Events; falls back to polling if the stream can't be opened
+function watchJob(jobId) {
+  if (!window.EventSource) return pollJob(jobId);
+
+  const source = new EventSource(`/api/jobs/${jobId}/events`);
+  const live = { line: "Queued…", progress: 0, artifacts: [], warnings: [] };
+  let received = false;
+  let finished = false;
+
+  const render = () => {
+    showStatus(`
+      <strong>Status:</strong> ${escapeHtml(live.line)} — ${live.progress}%
+      <div class="progress"><div class="progress-bar" style="width:${live.progress}%"></div></div>
+      ${live.warnings.length ? `<ul class="warnings">${live.warnings.map((w) => `<li>${escapeHtml(w)}</li>`).join("")}</ul>` : ""}
+      ${live.artifacts.length ? `<p>Ready so far: ${live.artifacts.map((p) =>
+        `<a href="/downloads/${jobId}/${encodeURI(p)}" target="_blank" rel="noopener">${escapeHtml(p)}</a>`).join(" · ")}</p>` : ""}
+    `);
+  };
+
+  const on = (type, handler) =>
+    source.addEventListener(type, (e) => {
+      received = true;
+      const data = JSON.parse(e.data);
+      live.progress = data.progress ?? live.progress;
+      handler(data);
+      render();
+    });
+
+  on("status", (d) => { live.line = d.status; });
+  on("stage", (d) => { live.line = `${d.stage.replace(/_/g, " ")} ${d.state}`; });
+  on("image", (d) => { live.line = d.message; });
+  on("artifact", (d) => { if (!live.artifacts.includes(d.path)) live.artifacts.push(d.path); });
+  on("warning", (d) => { live.warnings.push(d.message); });
+
+  // The final state (links, errors) comes from the job itself
+  for (const type of ["done", "failed", "paused"]) {
+    source.addEventListener(type, () => {
+      finished = true;
+      source.close();
+      pollJob(jobId);
+    });
+  }
+
+  // EventSource reconnects by itself (resuming from Last-Event-ID); only give up if it can't
+  source.onerror = () => {
+    if (finished) return;
+    if (!received || source.readyState === EventSource.CLOSED) {
+      source.close();
+      pollJob(jobId);
+    }
+  };
+}
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
 
@@ -81,6 +227,17 @@ form.addEventListener("submit", async (e) => {
     industry = data.get("industryOther") || "other";
   }
 
+  const platforms = data.getAll("platforms");
+  if (!platforms.length) {
+    showStatus("<strong>Error:</strong> Pick at least one platform.");
+    return;
+  }
+
+  const locales = String(data.get("locales") || "")
+    .split(",")
+    .map((l) => l.trim())
+    .filter(Boolean);
+
   const input = {
     brand: {
       name: data.get("brandName"),
@@ -98,7 +255,9 @@ form.addEventListener("submit", async (e) => {
     campaign: {
       month: data.get("month"),
       posts_count: Number(data.get("postsCount")),
-      primary_platform: "instagram",
+      primary_platform: platforms[0],
+      platforms,
+      ...(locales.length && { locales }),
       primary_goal: "increase awareness and consideration",
       cta_preference: ["save", "learn_more", "comment", "shop"],
       compliance: { no_income_claims: true, no_medical_claims: true },
@@ -106,7 +265,7 @@ form.addEventListener("submit", async (e) => {
     content_mode: data.get("mode"),
     product_mode: {
       enabled: data.get("mode") === "product_model",
-      product_names: [],
+      product_names: data.get("productName") ? [data.get("productName")] : [],
       product_descriptions: [],
       image_style_preset: "lifestyle_clean",
     },
@@ -117,6 +276,19 @@ form.addEventListener("submit", async (e) => {
   const payload = new FormData();
   payload.append("input_json", JSON.stringify(input));
 
+  // Read together with the website to prefill audience, voice and brand colours
+  const brandGuide = form.querySelector('input[name="brandGuide"]').files[0];
+  if (brandGuide) payload.append("brand_guide", brandGuide);
+
+  const productFiles = form.querySelector('input[name="productImages"]').files;
+  if (input.product_mode.enabled) {
+    if (productFiles.length > 3) {
+      showStatus("<strong>Error:</strong> Upload at most 3 product photos.");
+      return;
+    }
+    for (const file of productFiles) payload.append("product_images", file);
+  }
+
   let res;
   try {
     res = await fetch("/api/jobs", {
@@ -130,6 +302,11 @@ form.addEventListener("submit", async (e) => {
     return;
   }
 
+  if (res.status === 401) {
+    showLogin("<strong>Session expired.</strong> Log in again, then resubmit.");
+    return;
+  }
+
   if (!res.ok) {
     const text = await res.text().catch(() => "");
     showStatus(
@@ -140,5 +317,195 @@ form.addEventListener("submit", async (e) => {
 
   const { jobId } = await res.json();
   showStatus(`Job started: ${jobId}`);
-  pollJob(jobId);
+  watchJob(jobId);
+  loadPacks();
+});
+
+// ---- Review: approve/reject each post, edit captions inline, regenerate ----
+const reviewEl = document.getElementById("review");
+const reviewGrid = document.getElementById("reviewGrid");
+const reviewSummary = document.getElementById("reviewSummary");
+const reviewActions = document.getElementById("reviewActions");
+let reviewJobId = null;
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function reviewCard(post, query) {
+  const status = post.review.status;
+  const targets = post.visual_mode === "editorial"
+    ? ["caption", "editorial_brief", "image"]
+    : ["caption", "editorial_brief", "product_brief"];
+  return `
+    <article class="review-card review-${status}" data-post="${post.id}">
+      <img src="/downloads/${reviewJobId}/${post.image}?${query}&t=${Date.now()}" alt="${escapeHtml(post.alt_text)}" loading="lazy" />
+      <div class="review-body">
+        <div class="review-meta">
+          <span class="badge">${post.id}</span>
+          ${escapeHtml(post.post_type)} · ${escapeHtml(post.visual_mode)}${post.publish_date ? ` · ${post.publish_date}` : ""}
+          <span class="badge badge-${status}">${status}</span>
+          ${post.compliance === "fail" ? `<span class="badge badge-rejected">compliance</span>` : ""}
+          ${post.visual_qa && !post.visual_qa.passed ? `<span class="badge badge-rejected" title="${escapeHtml(post.visual_qa.issues.join("; "))}">QA ${post.visual_qa.score}</span>` : ""}
+          ${post.topic_repeat ? `<span class="badge badge-repeat" title="${escapeHtml(`Similar ${post.topic_repeat.field} to ${post.topic_repeat.matches.id} in ${post.topic_repeat.matches.month}`)}">repeat</span>` : ""}
+          ${post.stale.length ? `<span class="badge badge-repeat" title="${escapeHtml(`Out of date: ${post.stale.join(", ")}`)}">stale</span>` : ""}
+        </div>
+        <h3 class="review-headline">${escapeHtml(post.headline || post.topic)}</h3>
+        ${post.format_assets.length ? `<p class="review-assets">${escapeHtml(post.recommended_format.replace(/_/g, " "))}: ${post.format_assets.map((asset) => `<a href="/downloads/${reviewJobId}/${asset}?${query}" target="_blank" rel="noopener">${escapeHtml(asset.split("/").pop())}</a>`).join(" ")}</p>` : ""}
+        <label class="form-label">Caption</label>
+        <textarea name="caption" class="form-input" rows="6">${escapeHtml(post.caption)}</textarea>
+        <label class="form-label">Alt text</label>
+        <input name="alt_text" class="form-input" value="${escapeHtml(post.alt_text)}" />
+        <label class="form-label">CTA</label>
+        <input name="cta" class="form-input" value="${escapeHtml(post.cta)}" />
+        <div class="review-buttons">
+          <button type="button" data-action="approve">Approve</button>
+          <button type="button" data-action="reject">Reject</button>
+          <button type="button" data-action="save">Save edits</button>
+        </div>
+        <div class="review-buttons">
+          <select name="target" class="form-select">${targets.map((t) => `<option value="${t}">${t.replace(/_/g, " ")}</option>`).join("")}</select>
+          <input name="feedback" class="form-input" placeholder="Feedback (optional)" />
+          <button type="button" data-action="regenerate">Regenerate</button>
+        </div>
+        <p class="review-message"></p>
+      </div>
+    </article>
+  `;
+}
+
+async function openReview(jobId) {
+  reviewJobId = jobId;
+  const res = await fetch(`/api/jobs/${jobId}/posts`, { cache: "no-store" });
+  if (res.status === 401) return showLogin("<strong>Session expired.</strong> Log in again to review.");
+  if (!res.ok) return;
+
+  const { posts, summary, downloads } = await res.json();
+  reviewSummary.textContent = `${summary.approved} approved · ${summary.rejected} rejected · ${summary.pending} pending`;
+  reviewActions.innerHTML = summary.approved
+    ? `<a class="submit-button" href="${downloads.zip}" target="_blank" rel="noopener">Download ${summary.approved} approved posts (.zip)</a>`
+    : `<p>Approve posts to build the download pack.</p>`;
+  reviewGrid.innerHTML = posts.map((post) => reviewCard(post, downloads.query)).join("");
+
+  const wasHidden = reviewEl.classList.contains("hidden");
+  reviewEl.classList.remove("hidden");
+  if (wasHidden) reviewEl.scrollIntoView({ behavior: "smooth" });
+}
+
+reviewGrid.addEventListener("click", async (e) => {
+  const action = e.target.dataset?.action;
+  if (!action) return;
+
+  const card = e.target.closest(".review-card");
+  const postId = card.dataset.post;
+  const message = card.querySelector(".review-message");
+  const field = (name) => card.querySelector(`[name="${name}"]`).value;
+
+  let request;
+  if (action === "approve" || action === "reject") {
+    request = { method: "PATCH", body: { status: action === "approve" ? "approved" : "rejected" } };
+  } else if (action === "save") {
+    request = { method: "PATCH", body: { caption: field("caption"), alt_text: field("alt_text"), cta: field("cta") } };
+  } else {
+    request = { method: "POST", path: "/regenerate", body: { target: field("target"), feedback: field("feedback") } };
+    message.textContent = "Regenerating…";
+  }
+
+  card.querySelectorAll("button").forEach((b) => (b.disabled = true));
+  const res = await fetch(`/api/jobs/${reviewJobId}/posts/${postId}${request.path || ""}`, {
+    method: request.method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(request.body),
+  }).catch(() => null);
+
+  if (!res || !res.ok) {
+    const result = res ? await res.json().catch(() => ({})) : {};
+    message.textContent = `Error: ${result.error || "could not reach backend"}${result.details ? ` — ${result.details.join("; ")}` : ""}`;
+    card.querySelectorAll("button").forEach((b) => (b.disabled = false));
+    return;
+  }
+  openReview(reviewJobId);
+});
+
+// My past packs: the workspace's jobs, newest first
+const packsEl = document.getElementById("packs");
+const packsFilters = document.getElementById("packsFilters");
+const packsBody = document.getElementById("packsBody");
+const packsSummary = document.getElementById("packsSummary");
+const packsPageEl = document.getElementById("packsPage");
+let packsPage = 1;
+
+function packRow(job) {
+  const date = (ts) => (ts ? new Date(ts).toLocaleDateString() : "—");
+  const actions = [
+    job.status === "done" ? `<button type="button" data-action="open">Review</button>` : "",
+    ["queued", "running"].includes(job.status) ? `<button type="button" data-action="watch">Progress</button>` : "",
+    job.downloads ? `<a href="${job.downloads.zip}&include=all" target="_blank" rel="noopener">All files (.zip)</a>` : "",
+    job.status !== "running" ? `<button type="button" data-action="delete">Delete</button>` : "",
+  ];
+  return `
+    <tr data-job="${job.id}">
+      <td>${escapeHtml(job.brand || "—")}</td>
+      <td>${escapeHtml(job.month || "—")}</td>
+      <td><span class="badge" title="${escapeHtml(job.error || "")}">${job.status}${job.status === "done" ? ` · ${job.approved} approved` : ""}</span></td>
+      <td>${date(job.createdAt)}</td>
+      <td>${job.expiresAt ? date(job.expiresAt) : "—"}</td>
+      <td>${actions.filter(Boolean).join(" ")}</td>
+    </tr>
+  `;
+}
+
+async function loadPacks(page = 1) {
+  const params = new URLSearchParams({ page, per_page: 10 });
+  for (const [key, value] of new FormData(packsFilters)) {
+    if (value) params.set(key, value);
+  }
+
+  const res = await fetch(`/api/jobs?${params}`, { cache: "no-store" }).catch(() => null);
+  if (res?.status === 401) return showLogin("<strong>Session expired.</strong> Log in again.");
+  const result = res ? await res.json().catch(() => ({})) : {};
+  if (!res || !res.ok) {
+    packsSummary.textContent = `Error: ${result.error || "could not reach backend"}${result.details ? ` — ${result.details.join("; ")}` : ""}`;
+    return;
+  }
+
+  packsPage = result.page;
+  packsSummary.textContent = `${result.total} pack${result.total === 1 ? "" : "s"}` +
+    (result.retention_days ? ` · finished packs are kept for ${result.retention_days} days` : "");
+  packsBody.innerHTML = result.jobs.map(packRow).join("") || `<tr><td colspan="6">No packs match.</td></tr>`;
+  packsPageEl.textContent = result.pages > 1 ? `Page ${result.page} of ${result.pages}` : "";
+  packsEl.querySelector('[data-page="-1"]').disabled = result.page <= 1;
+  packsEl.querySelector('[data-page="1"]').disabled = result.page >= result.pages;
+}
+
+packsFilters.addEventListener("submit", (e) => {
+  e.preventDefault();
+  loadPacks();
+});
+
+packsEl.querySelector(".packs-pager").addEventListener("click", (e) => {
+  const step = Number(e.target.dataset?.page);
+  if (step) loadPacks(packsPage + step);
+});
+
+packsBody.addEventListener("click", async (e) => {
+  const action = e.target.dataset?.action;
+  if (!action) return;
+  const jobId = e.target.closest("tr").dataset.job;
+
+  if (action === "open") return openReview(jobId);
+  if (action === "watch") {
+    statusEl.scrollIntoView({ behavior: "smooth" });
+    return watchJob(jobId);
+  }
+  if (!confirm("Delete this pack? Its images, captions and uploads are removed for good.")) return;
+
+  const res = await fetch(`/api/jobs/${jobId}`, { method: "DELETE" }).catch(() => null);
+  if (!res || !res.ok) {
+    const result = res ? await res.json().catch(() => ({})) : {};
+    packsSummary.textContent = `Error: ${result.error || "could not reach backend"}`;
+    return;
+  }
+  if (reviewJobId === jobId) reviewEl.classList.add("hidden");
+  loadPacks(packsPage);
 });
@@ -4,13 +4,63 @@
  * What it does:
  * - Serves /frontend as the frontend
  * - Accepts POST /api/jobs with input_json
- * - Runs: plan -> applyMixedMode (12 editorial / 4 product_model) -> captions -> editorial briefs
+ * - Runs: plan -> applyMixedMode (campaign mix, default 12 editorial / 4 product_model) -> captions -> editorial briefs
+ * - Ingests brand.website / an uploaded brand guide (PDF, HTML, text) into offer, audience, voice,
+ *   vocabulary and a draft style profile that prefill the brand context (brand_context.json)
+ * - Remembers each brand's topics, angles and hooks from the last TOPIC_MEMORY_MONTHS months, tells the
+ *   plan not to repeat them and flags near-duplicates (topic_memory.json)
+ * - Imports engagement metrics (CSV via POST /api/brands/:slug/performance), matches them to past posts and
+ *   tells the plan which post types, formats, hooks and CTAs beat the brand's average (performance_insights.json)
+ * - Validates each LLM stage against its schema, with bounded repair turns (validation_report.json)
+ * - Prompt text (plan, captions, editorial briefs, editorial image + negative prompts) comes from templates that a
+ *   workspace or brand overrides via /api/prompt-templates; every save is a version, POST .../preview renders one
+ *   without a model call, and each job records the versions it ran with (prompt_templates.json)
+ * - Resolves the brand style from workspaces/<workspaceId>/brands/brand_<slug>.json (CRUD via /api/brands),
+ *   then shared brands/brand_<slug>.json, else a tone default
  * - Compiles:
  *    - editorial_visuals_compiled.json (with image_prompt + negative_prompt)
- *    - product_model_briefs.json (4 posts x 2 variants)
- * - Generates editorial images (12) using OpenAI Images (gpt-image-1)
+ *    - product_model_briefs.json (one per product_model post x 2 variants)
+ * - Generates editorial backgrounds using OpenAI Images (gpt-image-1), then typesets headline/subtext
+ *   server-side (Inter via resvg) -> Editorial_Posts/<id>.png + editable <id>.svg
+ * - campaign.platforms: captions + editorial images per platform; the first platform's outputs sit at
+ *   the root, the others under Platforms/<platform>/
+ * - campaign.locales: the first locale is written at the root; each other locale gets adapted captions,
+ *   alt text and headlines (captions.<locale>.json) for the primary platform, linted against
+ *   brand_voice.words_to_avoid_by_locale, and re-typeset editorial images in Editorial_Posts/<locale>/
+ * - Model calls go through a provider (MODEL_PROVIDER or input.provider): openai,
+ *   openai_compatible (COMPAT_BASE_URL) or mock (offline fixtures + placeholder PNGs)
+ * - Expands carousel / reel_script / story_set posts (formats.json): carousel slides and 9:16 story frames
+ *   typeset over one background per post -> Carousels/<id>/, Stories/<id>/; reel scripts -> Reels/<id>.txt
+ * - Visual QA of the primary editorial images (visual_qa.json, which records its scope): offline OCR against
+ *   headline/subtext, WCAG contrast of the typeset text and palette drift; images under VISUAL_QA_MIN_SCORE
+ *   get bounded regenerations
+ * - Renders product_model posts (A/B) as edits of the uploaded product_images -> Product_Posts/
+ * - Runs jobs through a queue (JOB_WORKERS), checkpointing each stage/image under jobs/<id>/
+ *   so interrupted jobs resume after a restart
+ * - Lints captions for banned words, emoji/hashtags, length and claim rules (industry packs),
+ *   optionally rewriting failures -> compliance_report.json
+ * - Schedules posts within campaign.month (campaign.schedule) and exports calendar.ics,
+ *   schedule.csv and bulk_upload.csv
  * - Saves everything into outputs/<jobId>/
- * - Serves outputs via /downloads/<jobId>/...
+ * - input.stages (e.g. ["plan", "captions"]) stops the pipeline after the last listed stage; cli.js runs
+ *   batches of input files in-process or against a server URL
+ * - Regenerates single captions/briefs/images per post, archiving old versions under versions/
+ * - Per-post review (approve/reject, inline caption edits); the ZIP only carries approved posts
+ * - Workspaces with users (session cookie) and API keys (/api/auth, /api/workspace); jobs, brands
+ *   and outputs are scoped to the caller's workspace, CORS limited to CORS_ORIGINS. Sessions and download
+ *   links are signed with AUTH_SECRET, which NODE_ENV=production requires
+ * - TRUST_PROXY: proxies in front of the app (hop count, e.g. 1 behind Netlify -> Render, or a
+ *   comma-separated list of addresses/subnets) whose X-Forwarded-For/-Proto are believed, so login
+ *   rate limits key on the real client IP and session cookies get Secure over https
+ * - Streams job progress (stages, per-image completion, warnings, artifacts) via GET /api/jobs/:id/events
+ * - Webhooks: job.started / job.stage_completed / job.done / job.error / job.paused, with signed artifact
+ *   links, POSTed to workspace subscriptions and the job's callback_url; HMAC-signed, retried with
+ *   backoff, logged at GET /api/workspace/webhooks/deliveries
+ * - Serves outputs via signed, expiring /downloads/<jobId>/... links
+ * - Lists a workspace's jobs (GET /api/jobs: brand, month, status, date filters, paging), deletes them
+ *   (DELETE /api/jobs/:id) and sweeps packs past their retention (JOB_RETENTION_DAYS or workspace.retention)
+ * - Meters every model call (tokens, images, estimated USD) onto job.usage; POST /api/jobs/estimate
+ *   prices a job up front, and workspace budgets reject or pause jobs that would overspend
  */
 
 import express from "express";
@@ -18,22 +68,73 @@ import cors from "cors";
 import multer from "multer";
 import { v4 as uuidv4 } from "uuid";
 import "dotenv/config";
-import OpenAI from "openai";
+import OpenAI, { toFile } from "openai";
 import fs from "fs";
 import path from "path";
+import zlib from "zlib";
+import crypto from "crypto";
 import archiver from "archiver";
+import sharp from "sharp";
+import { Resvg } from "@resvg/resvg-js";
+import { fileURLToPath } from "url";
+import { lookup as dnsLookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { Agent, fetch as undiciFetch } from "undici";
+import { PDFParse } from "pdf-parse";
+import { createWorker } from "tesseract.js";
+import engTrainedData from "@tesseract.js-data/eng";
 
 
 // ---------------------- App setup ----------------------
 const OUTPUTS_DIR = process.env.OUTPUTS_DIR || "/var/data/outputs";
+const BRANDS_DIR = process.env.BRANDS_DIR || "brands";
+const LLM_REPAIR_ATTEMPTS = Number(process.env.LLM_REPAIR_ATTEMPTS ?? 2);
+const JOB_WORKERS = Math.max(1, Number(process.env.JOB_WORKERS || 2));
+const OPENAI_RETRIES = Number(process.env.OPENAI_RETRIES ?? 4);
+const COMPLIANCE_REWRITE_ATTEMPTS = Number(process.env.COMPLIANCE_REWRITE_ATTEMPTS ?? 2);
+const OPENAI_RETRY_BASE_MS = Number(process.env.OPENAI_RETRY_BASE_MS || 1000);
+const WORKSPACES_DIR = process.env.WORKSPACES_DIR || "workspaces";
+const SESSION_COOKIE = "sc_session";
+const SESSION_TTL_S = Number(process.env.SESSION_TTL_S || 7 * 24 * 3600);
+const DOWNLOAD_LINK_TTL_S = Number(process.env.DOWNLOAD_LINK_TTL_S || 24 * 3600);
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES || 10);
+const LOGIN_WINDOW_S = Number(process.env.LOGIN_WINDOW_S || 15 * 60);
+// Express "trust proxy": unset = none, a number = hops, "true"/"false", else addresses/subnets
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+// Comma-separated allow-list; unset means same-origin only
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+
+function parseTrustProxy(raw = "") {
+  const value = raw.trim();
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(",").map((entry) => entry.trim()).filter(Boolean);
+}
 
 const app = express();
-app.use(cors());
+app.set("trust proxy", TRUST_PROXY);
+app.use(cors({ origin: CORS_ORIGINS.length ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json({ limit: "2mb" }));
 app.use(express.static("frontend"));
 
-const upload = multer({ dest: "uploads/" });
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const PRODUCT_IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const BRAND_GUIDE_TYPES = ["application/pdf", "text/html", "text/plain", "text/markdown"];
+const upload = multer({
+  dest: "uploads/",
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === "brand_guide") {
+      if (BRAND_GUIDE_TYPES.includes(file.mimetype)) return cb(null, true);
+      return cb(new Error(`${file.originalname}: brand guides must be PDF, HTML or plain text`));
+    }
+    if (PRODUCT_IMAGE_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new Error(`${file.originalname}: product images must be PNG, JPEG or WebP`));
+  }
+});
 
 // In-memory job store (MVP only) with simple file persistence
 const jobs = new Map();
@@ -83,6 +184,37 @@ function loadExistingJobs() {
 // Load jobs on startup
 loadExistingJobs();
 
+// Stage checkpoints: jobs/<id>/checkpoints/<step>.json, listed in job.completed_steps
+function checkpointPath(jobId, step) {
+  return path.join("jobs", jobId, "checkpoints", `${step.replace(/[^a-zA-Z0-9_-]/g, "_")}.json`);
+}
+
+function saveCheckpoint(job, step, data) {
+  writeFileSafe(checkpointPath(job.id, step), JSON.stringify(data, null, 2));
+  job.completed_steps = [...new Set([...(job.completed_steps || []), step])];
+  saveJobToFile(job);
+}
+
+function loadCheckpoint(job, step) {
+  if (!job.completed_steps?.includes(step)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath(job.id, step), "utf8"));
+  } catch (err) {
+    console.error(`Checkpoint ${step} for job ${job.id} unreadable, rerunning:`, err.message);
+    return null;
+  }
+}
+
+// Runs fn once per job; on resume returns the stored result instead
+async function runStep(job, step, fn) {
+  const saved = loadCheckpoint(job, step);
+  if (saved !== null) return saved;
+
+  const result = await fn();
+  saveCheckpoint(job, step, result);
+  return result;
+}
+
 // ---------------------- Utilities ----------------------
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
@@ -93,6 +225,22 @@ function writeFileSafe(filePath, content) {
   fs.writeFileSync(filePath, content);
 }
 
+function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJsonFile(filePath, data) {
+  writeFileSafe(filePath, JSON.stringify(data, null, 2));
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
 function slugify(str) {
   return (str || "brand")
     .toLowerCase()
@@ -141,13 +289,194 @@ function makeDefaultBrandStyle(input) {
   };
 }
 
-// ---------------------- Mixed mode allocation (12 editorial / 4 product_model) ----------------------
-function applyMixedMode(planJson) {
+// ---------------------- Brand profiles (brands/brand_<slug>.json) ----------------------
+const LAYOUT_TEMPLATES = ["headline_center", "headline_top", "split_headline_subtext"];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Workspace profiles (and performance metrics) live in workspaces/<workspaceId>/brands/, next to the rest of
+// the tenant's data; files in the tracked brands/ folder are shared read-only defaults
+function workspaceBrandsDir(workspaceId) {
+  return path.join(WORKSPACES_DIR, workspaceId, "brands");
+}
+
+function brandProfilePath(slug, workspaceId) {
+  return path.join(workspaceId ? workspaceBrandsDir(workspaceId) : BRANDS_DIR, `brand_${slug}.json`);
+}
+
+function validateBrandProfile(profile) {
+  const errors = [];
+  const isStringList = (v) => Array.isArray(v) && v.every((x) => typeof x === "string");
+
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    return ["profile must be a JSON object"];
+  }
+  if (typeof profile.brand_id !== "string" || !profile.brand_id) {
+    errors.push("brand_id is required");
+  }
+
+  const style = profile.style;
+  if (!style || typeof style !== "object") {
+    errors.push("style is required");
+  } else {
+    if (!Array.isArray(style.palette) || !style.palette.length) {
+      errors.push("style.palette must be a non-empty array");
+    } else if (!style.palette.every((c) => HEX_COLOR.test(c))) {
+      errors.push("style.palette entries must be #RRGGBB hex colors");
+    }
+    for (const key of ["background", "typography", "mood", "composition"]) {
+      if (style[key] !== undefined && typeof style[key] !== "string") {
+        errors.push(`style.${key} must be a string`);
+      }
+    }
+    if (style.do_not !== undefined && !isStringList(style.do_not)) {
+      errors.push("style.do_not must be an array of strings");
+    }
+  }
+
+  const editorial = profile.editorial;
+  if (editorial !== undefined) {
+    const layouts = editorial.layout_templates;
+    if (layouts !== undefined && (!isStringList(layouts) || !layouts.every((l) => LAYOUT_TEMPLATES.includes(l)))) {
+      errors.push(`editorial.layout_templates must only contain: ${LAYOUT_TEMPLATES.join(", ")}`);
+    }
+    if (editorial.icon_style !== undefined && typeof editorial.icon_style !== "string") {
+      errors.push("editorial.icon_style must be a string");
+    }
+  }
+
+  const pm = profile.product_model;
+  if (pm !== undefined) {
+    for (const key of ["style_preset", "lighting", "background", "camera", "model_notes"]) {
+      if (pm[key] !== undefined && typeof pm[key] !== "string") {
+        errors.push(`product_model.${key} must be a string`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function loadBrandProfile(slug, workspaceId) {
+  try {
+    const profilePath = brandProfilePath(slug, workspaceId);
+    if (fs.existsSync(profilePath)) {
+      return JSON.parse(fs.readFileSync(profilePath, "utf8"));
+    }
+  } catch (err) {
+    console.error(`Failed to load brand profile ${slug}:`, err.message);
+  }
+  return null;
+}
+
+function saveBrandProfile(profile, workspaceId) {
+  writeFileSafe(brandProfilePath(profile.brand_id, workspaceId), JSON.stringify(profile, null, 2));
+}
+
+function listBrandProfiles(workspaceId) {
+  const dir = path.dirname(brandProfilePath("x", workspaceId));
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .map((f) => /^brand_([a-z0-9-]+)\.json$/.exec(f)?.[1])
+    .filter(Boolean)
+    .map((slug) => loadBrandProfile(slug, workspaceId))
+    .filter(Boolean);
+}
+
+// Saved profile (if any) layered over the tone-based default, so partial profiles still compile
+function resolveBrandStyle(input, workspaceId) {
+  const fallback = makeDefaultBrandStyle(input);
+  const saved =
+    (workspaceId && loadBrandProfile(fallback.brand_id, workspaceId)) || loadBrandProfile(fallback.brand_id);
+  if (!saved) return { ...fallback, source: "default" };
+
+  return {
+    brand_id: fallback.brand_id,
+    style: { ...fallback.style, ...saved.style },
+    editorial: { ...fallback.editorial, ...saved.editorial },
+    product_model: { ...fallback.product_model, ...saved.product_model },
+    source: "profile"
+  };
+}
+
+// ---------------------- Campaign mix (post types + visual modes) ----------------------
+// Weights, not counts: scaled to posts_count (16 posts -> 6/4/4/2)
+const DEFAULT_POST_TYPE_MIX = { educational: 6, authority: 4, relatable: 4, promotional: 2 };
+const DEFAULT_PRODUCT_MODEL_RATIO = 0.25;
+
+// Largest-remainder apportionment so the counts always sum to total
+function scaleMix(weights, total) {
+  const entries = Object.entries(weights).filter(([, w]) => Number(w) > 0);
+  const sum = entries.reduce((acc, [, w]) => acc + Number(w), 0);
+  if (!sum) return {};
+
+  const scaled = entries.map(([key, w]) => {
+    const exact = (Number(w) / sum) * total;
+    return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = total - scaled.reduce((acc, x) => acc + x.count, 0);
+  for (const x of [...scaled].sort((a, b) => b.remainder - a.remainder)) {
+    if (left-- <= 0) break;
+    x.count++;
+  }
+  return Object.fromEntries(scaled.map((x) => [x.key, x.count]));
+}
+
+/**
+ * campaign.post_type_mix: { educational, authority, relatable, promotional } weights
+ * campaign.visual_mix: { product_model_ratio, overrides: { P03: "product_model" } }
+ * content_mode "editorial" (or product_mode.enabled === false) means no product_model posts.
+ */
+function resolveCampaignMix(brandContext) {
+  const campaign = brandContext?.campaign || {};
+  const total = Number(campaign.posts_count) || 16;
+
+  const typeWeights = { ...DEFAULT_POST_TYPE_MIX, ...(campaign.post_type_mix || {}) };
+  const postTypes = scaleMix(
+    Object.fromEntries(Object.entries(typeWeights).filter(([k]) => POST_TYPES.includes(k))),
+    total
+  );
+
+  const editorialOnly =
+    brandContext?.content_mode === "editorial" || brandContext?.product_mode?.enabled === false;
+  const ratio = Number(campaign.visual_mix?.product_model_ratio ?? DEFAULT_PRODUCT_MODEL_RATIO);
+  const productCount = editorialOnly ? 0 : Math.round(Math.min(Math.max(ratio, 0), 1) * total);
+
+  return {
+    postTypes,
+    productCount,
+    overrides: editorialOnly ? {} : campaign.visual_mix?.overrides || {}
+  };
+}
+
+function validateCampaignMix(campaign = {}) {
+  const errors = [];
+  for (const [key, w] of Object.entries(campaign.post_type_mix || {})) {
+    if (!POST_TYPES.includes(key)) errors.push(`post_type_mix.${key} is not a post type`);
+    else if (!(Number(w) >= 0)) errors.push(`post_type_mix.${key} must be a number >= 0`);
+  }
+  const ratio = campaign.visual_mix?.product_model_ratio;
+  if (ratio !== undefined && !(Number(ratio) >= 0 && Number(ratio) <= 1)) {
+    errors.push("visual_mix.product_model_ratio must be between 0 and 1");
+  }
+  for (const [id, mode] of Object.entries(campaign.visual_mix?.overrides || {})) {
+    if (!VISUAL_MODES.includes(mode)) errors.push(`visual_mix.overrides.${id} must be ${VISUAL_MODES.join("|")}`);
+  }
+  return errors;
+}
+
+function applyMixedMode(planJson, brandContext) {
   const posts = planJson?.plan?.posts || [];
   if (!posts.length) return planJson;
 
-  const promo = posts.filter((p) => p.post_type === "promotional");
-  const remaining = posts.filter((p) => p.post_type !== "promotional");
+  const { productCount, overrides } = resolveCampaignMix(brandContext);
+  const forcedEditorial = new Set(
+    Object.keys(overrides).filter((id) => overrides[id] === "editorial")
+  );
+  const candidates = posts.filter((p) => !forcedEditorial.has(p.id));
+
+  const promo = candidates.filter((p) => p.post_type === "promotional");
+  const remaining = candidates.filter((p) => p.post_type !== "promotional");
 
   const productish = remaining.filter((p) => {
     const t = (p.topic + " " + (p.angle || "")).toLowerCase();
@@ -160,125 +489,172 @@ function applyMixedMode(planJson) {
     );
   });
 
-  const chosen = [];
-  for (const p of promo) chosen.push(p);
-  for (const p of productish) if (chosen.length < 4) chosen.push(p);
-  for (const p of remaining) if (chosen.length < 4) chosen.push(p);
-
-  const chosenIds = new Set(chosen.slice(0, 4).map((p) => p.id));
+  // Explicit overrides first (always kept), then promo, productish, anything else
+  const forced = candidates.filter((p) => overrides[p.id] === "product_model");
+  const chosen = new Set(forced.map((p) => p.id));
+  const limit = Math.max(productCount, forced.length);
+  for (const p of [...promo, ...productish, ...remaining]) if (chosen.size < limit) chosen.add(p.id);
 
   for (const p of posts) {
-    p.visual_mode = chosenIds.has(p.id) ? "product_model" : "editorial";
+    p.visual_mode = chosen.has(p.id) ? "product_model" : "editorial";
   }
 
   return planJson;
 }
 
-// ---------------------- Prompt compilers ----------------------
-function compileEditorialPrompt(brandStyle, v) {
-  const bg = brandStyle.style.background;
-  const mood = brandStyle.style.mood;
-  const icon = v.icon_hint || "simple icon";
-
-  const image_prompt =
-    `Minimal editorial Instagram post design. ` +
-    `Background: ${bg}. Mood: ${mood}. ` +
-    `Modern sans-serif typography, high legibility, lots of whitespace. ` +
-    `Headline: "${v.headline}". ` +
-    (v.subtext ? `Subtext: "${v.subtext}". ` : "") +
-    `One monochrome line icon: ${icon}. ` +
-    `Layout: ${v.layout}. No photos, no people.`;
-
-  const negative_prompt =
-    `photorealistic people, faces, clutter, gradients, decorative fonts, ` +
-    `busy patterns, neon colors, low contrast text, illegible text, watermark, blurry`;
+// ---------------------- Platforms ----------------------
+// Caption rules + editorial image size per platform; every platform shares the same plan
+const PLATFORM_SPECS = {
+  instagram: {
+    label: "Instagram",
+    words: [60, 140],
+    style: "Hook, value, CTA in short paragraphs",
+    width: 1080,
+    height: 1350
+  },
+  linkedin: {
+    label: "LinkedIn",
+    words: [80, 200],
+    style: "Professional first-person insight, short line-broken paragraphs, no slang",
+    width: 1200,
+    height: 627
+  },
+  facebook: {
+    label: "Facebook",
+    words: [40, 120],
+    style: "Conversational and community-oriented, invite replies",
+    width: 1080,
+    height: 1350
+  },
+  tiktok: {
+    label: "TikTok",
+    words: [10, 40],
+    style: "Punchy caption supporting a vertical video or slideshow, first line is the hook",
+    width: 1080,
+    height: 1920
+  },
+  x: {
+    label: "X",
+    words: [10, 45],
+    max_chars: 280,
+    style: "One or two crisp sentences, no thread",
+    width: 1600,
+    height: 900
+  }
+};
+const PLATFORMS = Object.keys(PLATFORM_SPECS);
 
-  return { image_prompt, negative_prompt };
+// First entry is the primary platform: its outputs stay at the root of outputs/<jobId>/
+function resolvePlatforms(brandContext) {
+  const campaign = brandContext?.campaign || {};
+  const list = campaign.platforms?.length ? campaign.platforms : [campaign.primary_platform || "instagram"];
+  return [...new Set(list)];
 }
 
-function compileProductModelBrief(brandStyle, post, brandContext) {
-  const preset = brandStyle.product_model.style_preset || "lifestyle_clean";
-  const productName =
-    brandContext?.product_mode?.product_names?.[0] ||
-    brandContext?.brand?.offer_summary ||
-    "the product";
+function validatePlatforms(campaign = {}) {
+  const errors = [];
+  const primary = campaign.primary_platform;
+  if (primary !== undefined && !PLATFORMS.includes(primary)) {
+    errors.push(`campaign.primary_platform: unknown ${primary} (allowed: ${PLATFORMS.join(", ")})`);
+  }
+  const list = campaign.platforms;
+  if (list === undefined) return errors;
+  if (!Array.isArray(list) || !list.length) return [...errors, "campaign.platforms must be a non-empty array"];
+  const unknown = list.filter((p) => !PLATFORMS.includes(p));
+  if (unknown.length) errors.push(`campaign.platforms: unknown ${unknown.join(", ")} (allowed: ${PLATFORMS.join(", ")})`);
+  return errors;
+}
 
-  const base =
-    `Commercial product imagery. Style preset: ${preset}. ` +
-    `Lighting: ${brandStyle.product_model.lighting}. Background: ${brandStyle.product_model.background}. ` +
-    `Camera: ${brandStyle.product_model.camera}. Brand mood: ${brandStyle.style.mood}.`;
+function platformDir(outDir, platform) {
+  return path.join(outDir, "Platforms", platform);
+}
 
-  const variants = [
-    {
-      variant: "A",
-      prompt: `${base} Feature ${productName} in a clean lifestyle scene. Minimal props. Natural premium feel.`,
-      negative_prompt:
-        "blurry, clutter, weird hands, extra fingers, distorted text, low quality, watermark"
-    },
-    {
-      variant: "B",
-      prompt: `${base} Studio-clean shot of ${productName}. Neutral background. Crisp premium product focus.`,
-      negative_prompt:
-        "blurry, clutter, warped label, distorted logo, low quality, watermark"
-    }
-  ];
+// ---------------------- Locales ----------------------
+// campaign.locales: the first locale's outputs sit at the root (captions.json, Editorial_Posts/<id>.png);
+// each other locale adds captions.<locale>.json, editorial_visuals.<locale>.json and Editorial_Posts/<locale>/
+const LOCALE_CODE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
 
-  return { id: post.id, product_focus: productName, style_preset: preset, variants };
+function resolveLocales(brandContext) {
+  const list = brandContext?.campaign?.locales;
+  return list?.length ? [...new Set(list)] : ["en"];
 }
 
-// ---------------------- OpenAI calls ----------------------
-async function callOpenAIJson(prompt) {
-  const resp = await openai.chat.completions.create({
-    model: "gpt-4.1-mini",
-    temperature: 0.4,
-    messages: [
-      { role: "system", content: "Return ONLY valid JSON. No markdown. No extra text." },
-      { role: "user", content: prompt }
-    ]
-  });
+function validateLocales(campaign = {}) {
+  const list = campaign.locales;
+  if (list === undefined) return [];
+  if (!Array.isArray(list) || !list.length) return ["campaign.locales must be a non-empty array"];
+  const invalid = list.filter((l) => typeof l !== "string" || !LOCALE_CODE.test(l));
+  return invalid.length ? [`campaign.locales: invalid ${invalid.join(", ")} (use codes like "en", "es", "pt-BR")`] : [];
+}
 
-  const text = resp.choices?.[0]?.message?.content ?? "";
+function languageName(locale) {
   try {
-    return JSON.parse(text);
-  } catch (e) {
-    // Helpful debug if JSON breaks
-    throw new Error(`JSON parse failed. First 200 chars:\n${text.slice(0, 200)}`);
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(locale);
+  } catch {
+    return locale;
   }
 }
 
-async function generateEditorialImage(prompt, outPath) {
-  const result = await openai.images.generate({
-    model: "gpt-image-1",
-    prompt,
-    size: "1024x1024"
-  });
+// Prompt rule for the language to write in; omitted unless the client set campaign.locales
+function languageRule(brandContext, locale = resolveLocales(brandContext)[0]) {
+  return brandContext?.campaign?.locales?.length
+    ? `\n- Write in ${languageName(locale)} (${locale}); keep brand and product names as they are`
+    : "";
+}
 
-  const b64 = result.data?.[0]?.b64_json;
-  if (!b64) throw new Error("No image returned from image API");
+// brand_voice.words_to_avoid plus brand_voice.words_to_avoid_by_locale for "es-MX", then "es"
+function wordsToAvoid(brandContext, locale) {
+  const voice = brandContext?.brand?.brand_voice || {};
+  const byLocale = voice.words_to_avoid_by_locale || {};
+  const language = locale?.split("-")[0];
+  return [
+    ...new Set([
+      ...(voice.words_to_avoid || []),
+      ...((locale && byLocale[locale]) || []),
+      ...((language && language !== locale && byLocale[language]) || [])
+    ])
+  ];
+}
 
-  const buffer = Buffer.from(b64, "base64");
-  ensureDir(path.dirname(outPath));
-  fs.writeFileSync(outPath, buffer);
+function localeFile(name, locale) {
+  return name.replace(/\.json$/, `.${locale}.json`);
 }
 
-// ---------------------- Prompts (Text) ----------------------
-function promptPlan(brandContext) {
-  return `
-Create a monthly Instagram content plan.
+// ---------------------- Prompt templates ----------------------
+// {{name}} inserts a variable; {{#name}}...{{/name}} keeps its content only when the variable is non-empty.
+// Workspaces and brands override these via /api/prompt-templates; every save is a new version.
+const PROMPT_TEMPLATE_MAX_CHARS = 20000;
+
+const DEFAULT_PROMPT_TEMPLATES = {
+  plan: {
+    description: "Monthly content plan (plan stage)",
+    variables: {
+      platforms: 'Platform labels, e.g. "Instagram + LinkedIn"',
+      posts_count: "campaign.posts_count",
+      month: "campaign.month (YYYY-MM)",
+      mix: "One line per post type with its count",
+      language_rule: 'Rule line to write in campaign.locales[0] (starts with "\\n- "), empty without locales',
+      history: "Topics, angles and hooks of recent months, empty when there are none",
+      performance: "Past performance summary, empty without imported metrics",
+      brand_context: "Brand context JSON"
+    },
+    body: `
+Create a monthly {{platforms}} content plan.
 
 Constraints:
-- Exactly ${brandContext.campaign.posts_count} posts for month ${brandContext.campaign.month}
+- Exactly {{posts_count}} posts for month {{month}}
 - Mix:
-  - 6 Educational
-  - 4 Authority/Positioning
-  - 4 Relatable/Trust-building
-  - 2 Soft Promotional
-- No emojis, no hashtags, no exaggerated claims.
+{{mix}}
+- recommended_format: carousel for steps, lists and frameworks; reel_script for demos and on-camera stories;
+  story_set for quick polls and behind-the-scenes; otherwise single
+- No emojis, no hashtags, no exaggerated claims.{{language_rule}}{{#history}}
+- Do not repeat any topic, angle or hook already used in recent months (listed below); find fresh ones.{{/history}}{{#performance}}
+- Within the mix above, lean on the formats, CTA types and hook styles that beat the brand's average (past performance below) and use the ones well under it sparingly.{{/performance}}
 - Return JSON only with schema:
 {
   "plan": {
     "month": "YYYY-MM",
-    "posts_count": ${brandContext.campaign.posts_count},
+    "posts_count": {{posts_count}},
     "posts": [
       {
         "id": "P01",
@@ -295,23 +671,41 @@ Constraints:
   }
 }
 
-Brand context JSON:
-${JSON.stringify(brandContext)}
-`.trim();
-}
+{{#history}}Already used in recent months:
+{{history}}
 
-function promptCaptions(brandContext, planJson) {
-  return `
-Write captions for each post in the content plan below.
+{{/history}}{{#performance}}{{performance}}
+
+{{/performance}}Brand context JSON:
+{{brand_context}}
+`
+  },
+  captions: {
+    description: "Captions per platform (captions stages, compliance rewrites, caption regeneration)",
+    variables: {
+      platform: 'Platform label, e.g. "Instagram"',
+      banned_words: "Comma-separated words to avoid for the locale, empty when there are none",
+      language_rule: 'Rule line to write in the locale (starts with "\\n- "), empty without campaign.locales',
+      min_words: "Minimum words per caption for the platform",
+      max_words: "Maximum words per caption for the platform",
+      platform_style: "Style notes for the platform",
+      max_chars: "Character limit of the platform, empty when it has none",
+      brand_context: "Brand context JSON",
+      plan: "Content plan JSON"
+    },
+    body: `
+Write {{platform}} captions for each post in the content plan below.
 
 Rules:
-- Match brand voice and banned words
+- Match brand voice and banned words{{#banned_words}} (never use: {{banned_words}}){{/banned_words}}{{language_rule}}
 - No emojis, no hashtags
 - Structure:
   1) Hook (1 sentence)
   2) Value (2–5 short sentences or bullets)
   3) CTA (1 sentence aligned with cta_type)
-- 60–140 words per caption
+- {{min_words}}–{{max_words}} words per caption
+- {{platform}} style: {{platform_style}}{{#max_chars}}
+- Max {{max_chars}} characters per caption, including spaces{{/max_chars}}
 Return JSON only:
 {
   "captions": [
@@ -330,15 +724,21 @@ Return JSON only:
 }
 
 Brand context JSON:
-${JSON.stringify(brandContext)}
+{{brand_context}}
 
 Content plan JSON:
-${JSON.stringify(planJson)}
-`.trim();
-}
-
-function promptEditorialVisuals(brandContext, planJson, captionsJson) {
-  return `
+{{plan}}
+`
+  },
+  editorial_visuals: {
+    description: "Editorial visual briefs (editorial_visuals stage, brief regeneration)",
+    variables: {
+      language_rule: 'Rule line to write in campaign.locales[0] (starts with "\\n- "), empty without locales',
+      brand_context: "Brand context JSON",
+      plan: "Content plan JSON",
+      captions: "Captions JSON"
+    },
+    body: `
 Create editorial visual briefs for each post.
 
 Style rules:
@@ -347,7 +747,7 @@ Style rules:
 - Modern sans-serif typography
 - Lots of whitespace
 - 1 minimal monochrome line icon max
-- No photos, no people, no gradients, no decorative fonts
+- No photos, no people, no gradients, no decorative fonts{{language_rule}}
 
 Return JSON only:
 {
@@ -365,167 +765,6025 @@ Return JSON only:
 }
 
 Brand context JSON:
-${JSON.stringify(brandContext)}
+{{brand_context}}
 
 Content plan JSON:
-${JSON.stringify(planJson)}
+{{plan}}
 
 Captions JSON:
-${JSON.stringify(captionsJson)}
-`.trim();
-}
+{{captions}}
+`
+  },
+  editorial_image: {
+    description: "Image prompt for each editorial background (headline and subtext are typeset afterwards)",
+    variables: {
+      platform: 'Platform label, e.g. "Instagram"',
+      width: "Image width in px",
+      height: "Image height in px",
+      orientation: "landscape, portrait or square",
+      background: "Brand style background",
+      mood: "Brand style mood",
+      palette: "Comma-separated brand palette, empty when there is none",
+      composition: 'Brand style composition (default "lots of whitespace")',
+      icon_style: "Editorial icon style of the brand",
+      icon: "Icon idea from the brief",
+      text_zone: "Where to leave room for the headline, by layout"
+    },
+    body:
+      "Minimal editorial {{platform}} post background, {{width}}x{{height}} {{orientation}} format. " +
+      "Background: {{background}}. Mood: {{mood}}. {{#palette}}Color palette: {{palette}}. {{/palette}}" +
+      "Composition: {{composition}}. One {{icon_style}}: {{icon}}. {{text_zone}} " +
+      "Absolutely no text, letters, numbers or logos. No photos, no people."
+  },
+  editorial_negative: {
+    description: "Negative prompt for editorial backgrounds, comma-separated; the brand style's do_not is appended",
+    variables: {},
+    body:
+      "photorealistic people, faces, clutter, gradients, decorative fonts, busy patterns, neon colors, text, " +
+      "letters, typography, watermark, blurry"
+  }
+};
+const PROMPT_TEMPLATE_KEYS = Object.keys(DEFAULT_PROMPT_TEMPLATES);
 
-// ---------------------- Job runner ----------------------
-async function runJob(jobId) {
-  const job = jobs.get(jobId);
-  if (!job) return;
+// What an override of a JSON stage can't drop: the variables carrying its input, and the keys of the
+// return schema (these plus the required fields of STAGE_SCHEMAS[key]), quoted as in the defaults
+const PROMPT_TEMPLATE_REQUIREMENTS = {
+  plan: { variables: ["posts_count", "month", "brand_context"], schema: ["plan", "posts"] },
+  captions: { variables: ["brand_context", "plan"], schema: ["captions"] },
+  editorial_visuals: { variables: ["brand_context", "plan", "captions"], schema: ["editorial_visuals"] }
+};
 
-  try {
-    job.status = "running";
-    job.progress = 10;
+// One pass over the template, so variable values are never read as tags themselves
+function renderPromptTemplate(body, vars) {
+  const blank = (value) => value === undefined || value === null || value === "";
+  return body.replace(/\{\{#([a-z_]+)\}\}([\s\S]*?)\{\{\/\1\}\}|\{\{([a-z_]+)\}\}/g, (_, section, inner, name) => {
+    if (section) return blank(vars[section]) ? "" : renderPromptTemplate(inner, vars);
+    return blank(vars[name]) ? "" : String(vars[name]);
+  });
+}
 
-    const brandContext = job.input;
+function validatePromptTemplate(key, body) {
+  if (typeof body !== "string" || !body.trim()) return ["template must be a non-empty string"];
+  if (body.length > PROMPT_TEMPLATE_MAX_CHARS) {
+    return [`template must be at most ${PROMPT_TEMPLATE_MAX_CHARS} characters`];
+  }
 
-    // 1) Plan
-    let planJson = await callOpenAIJson(promptPlan(brandContext));
-    planJson = applyMixedMode(planJson);
-    job.progress = 35;
-    jobs.set(jobId, job);
-    saveJobToFile(job);
+  const variables = Object.keys(DEFAULT_PROMPT_TEMPLATES[key].variables);
+  const errors = [];
+  const open = [];
+  for (const [tag, inner] of body.matchAll(/\{\{([^{}]*)\}\}/g)) {
+    const [, kind, name] = /^([#/]?)([a-z_]+)$/.exec(inner) || [];
+    if (!name) {
+      errors.push(`${tag}: expected {{name}}, {{#name}} or {{/name}}`);
+    } else if (!variables.includes(name)) {
+      errors.push(`${tag}: unknown variable (allowed: ${variables.join(", ") || "none"})`);
+    } else if (kind === "#") {
+      if (open.includes(name)) errors.push(`${tag}: already open`);
+      open.push(name);
+    } else if (kind === "/" && open.pop() !== name) {
+      errors.push(`${tag} does not close the innermost open section`);
+    }
+  }
+  for (const name of open) errors.push(`{{#${name}}} is never closed`);
 
-    // 2) Captions
-    const captionsJson = await callOpenAIJson(promptCaptions(brandContext, planJson));
-    job.progress = 55;
-    jobs.set(jobId, job);
-    saveJobToFile(job);
+  const required = PROMPT_TEMPLATE_REQUIREMENTS[key];
+  if (required) {
+    for (const name of required.variables) {
+      if (!body.includes(`{{${name}}}`)) errors.push(`{{${name}}} is required`);
+    }
+    const fields = Object.entries(STAGE_SCHEMAS[key])
+      .filter(([, spec]) => spec.required)
+      .map(([field]) => field);
+    const missing = [...required.schema, ...fields].filter((field) => !body.includes(`"${field}"`));
+    if (missing.length) {
+      errors.push(`the JSON schema must keep ${missing.map((field) => `"${field}"`).join(", ")}`);
+    }
+  }
+  return [...new Set(errors)];
+}
 
-    // 3) Editorial briefs (still generated for all posts; we filter later)
-    const visualsJson = await callOpenAIJson(
-      promptEditorialVisuals(brandContext, planJson, captionsJson)
-    );
-    job.progress = 65;
-    jobs.set(jobId, job);
-    saveJobToFile(job);
+function promptTemplateHash(body) {
+  return crypto.createHash("sha256").update(body).digest("hex").slice(0, 12);
+}
 
-    // Brand style + compiled prompts
-    const brandStyle = makeDefaultBrandStyle(brandContext);
+// workspaces/<id>/prompt_templates.json:
+// { workspace: { [key]: entry }, brands: { [slug]: { [key]: entry } } }, entry = { active_version, versions }
+function promptTemplatesPath(workspaceId) {
+  return path.join(WORKSPACES_DIR, workspaceId, "prompt_templates.json");
+}
 
-    const editorialVisualsCompiled = (visualsJson.editorial_visuals || []).map((v) => {
-      const compiled = compileEditorialPrompt(brandStyle, v);
-      return { ...v, ...compiled };
-    });
+function loadPromptTemplateStore(workspaceId) {
+  return readJsonFile(promptTemplatesPath(workspaceId), { workspace: {}, brands: {} });
+}
 
-    const posts = planJson?.plan?.posts || [];
-    const productPosts = posts.filter((p) => p.visual_mode === "product_model");
-    const productBriefs = productPosts.map((p) =>
-      compileProductModelBrief(brandStyle, p, brandContext)
-    );
+function promptTemplateEntry(store, key, brand) {
+  return (brand ? store.brands[brand] : store.workspace)?.[key] || null;
+}
 
-    // 4) Save outputs
-    const outDir = path.join(OUTPUTS_DIR, jobId);
-    ensureDir(outDir);
+function activePromptTemplate(entry) {
+  return entry?.versions.find((v) => v.version === entry.active_version) || null;
+}
 
-    writeFileSafe(path.join(outDir, "content_plan.json"), JSON.stringify(planJson, null, 2));
-    writeFileSafe(path.join(outDir, "captions.json"), JSON.stringify(captionsJson, null, 2));
-    writeFileSafe(path.join(outDir, "editorial_visuals.json"), JSON.stringify(visualsJson, null, 2));
-    writeFileSafe(path.join(outDir, "brand_style.json"), JSON.stringify(brandStyle, null, 2));
-    writeFileSafe(
-      path.join(outDir, "editorial_visuals_compiled.json"),
-      JSON.stringify({ editorial_visuals: editorialVisualsCompiled }, null, 2)
-    );
-    writeFileSafe(
-      path.join(outDir, "product_model_briefs.json"),
-      JSON.stringify({ product_visuals: productBriefs }, null, 2)
-    );
+// Versions are never edited or removed, so a job's recorded version can always be looked up again
+function savePromptTemplateVersion(workspaceId, key, brand, body, { note, createdBy } = {}) {
+  const store = loadPromptTemplateStore(workspaceId);
+  const scope = brand ? (store.brands[brand] ||= {}) : store.workspace;
+  const entry = (scope[key] ||= { active_version: null, versions: [] });
+  const version = {
+    version: entry.versions.length + 1,
+    body,
+    hash: promptTemplateHash(body),
+    note: note || null,
+    created_by: createdBy || null,
+    created_at: new Date().toISOString()
+  };
+  entry.versions.push(version);
+  entry.active_version = version.version;
+  writeJsonFile(promptTemplatesPath(workspaceId), store);
+  return version;
+}
 
-    // 5) Generate 12 editorial images
-    const editorialDir = path.join(outDir, "Editorial_Posts");
-    ensureDir(editorialDir);
+// null falls back to the workspace template (brand scope) or the default
+function setActivePromptTemplate(workspaceId, key, brand, version) {
+  const store = loadPromptTemplateStore(workspaceId);
+  const entry = promptTemplateEntry(store, key, brand);
+  if (!entry || (version !== null && !entry.versions.some((v) => v.version === version))) return null;
+  entry.active_version = version;
+  writeJsonFile(promptTemplatesPath(workspaceId), store);
+  return entry;
+}
 
-    const editorialIds = new Set(
-      posts.filter((p) => p.visual_mode === "editorial").map((p) => p.id)
-    );
+// { [key]: { source: "brand"|"workspace"|"default", brand_id?, version, hash, body } }; brand beats workspace
+function resolvePromptTemplates(workspaceId, brand) {
+  const store = workspaceId ? loadPromptTemplateStore(workspaceId) : { workspace: {}, brands: {} };
+  return Object.fromEntries(
+    PROMPT_TEMPLATE_KEYS.map((key) => {
+      const brandVersion = brand ? activePromptTemplate(promptTemplateEntry(store, key, brand)) : null;
+      const workspaceVersion = activePromptTemplate(promptTemplateEntry(store, key));
+      const used = brandVersion || workspaceVersion;
+      const body = used?.body ?? DEFAULT_PROMPT_TEMPLATES[key].body;
+      return [
+        key,
+        {
+          source: brandVersion ? "brand" : workspaceVersion ? "workspace" : "default",
+          ...(brandVersion && { brand_id: brand }),
+          version: used?.version ?? null,
+          hash: promptTemplateHash(body),
+          body
+        }
+      ];
+    })
+  );
+}
 
-    const editorialOnly = editorialVisualsCompiled.filter((v) => editorialIds.has(v.id));
+// What job.prompt_templates records: the resolved set without the bodies
+function promptTemplateRefs(templates) {
+  return Object.fromEntries(Object.entries(templates).map(([key, { body, ...ref }]) => [key, ref]));
+}
 
-    job.progress = 75;
+// Preview input when the caller sends none: this month, named after the brand being previewed. Profiles
+// carry no display name, so the brand slug is the name (and slugifies back to the same brand id).
+const PROMPT_PREVIEW_INPUT = {
+  brand: {
+    name: "Sample Brand",
+    industry: "wellness",
+    brand_voice: { tone: "calm, practical", words_to_avoid: ["miracle", "cure"] }
+  },
+  campaign: { posts_count: 4 },
+  content_mode: "editorial"
+};
 
-    for (const v of editorialOnly) {
-      const outPath = path.join(editorialDir, `${v.id}.png`);
-      await generateEditorialImage(v.image_prompt, outPath);
-    }
+function promptPreviewInput(brand) {
+  const name = brand || PROMPT_PREVIEW_INPUT.brand.name;
+  return {
+    ...PROMPT_PREVIEW_INPUT,
+    brand: { ...PROMPT_PREVIEW_INPUT.brand, name },
+    campaign: { ...PROMPT_PREVIEW_INPUT.campaign, month: new Date().toISOString().slice(0, 7) }
+  };
+}
 
-    // Done
-    job.progress = 100;
-    job.status = "done";
-    job.downloadUrl = `/downloads/${jobId}/content_plan.json`;
-  } catch (err) {
-    job.status = "error";
-    job.error = err?.message || "Unknown error";
-  } finally {
-    jobs.set(jobId, job);
-    saveJobToFile(job);
+/**
+ * The prompt `key` renders to for `input`, as runJob would build it, without calling a model.
+ * plan / captions / visual (one editorial brief) default to the mock provider's fixtures; the plan prompt
+ * gets the brand's topic memory and performance insights from the workspace, like a job.
+ */
+function renderPromptPreview(key, templates, input, workspaceId, { plan, captions, visual, platform } = {}) {
+  if (key === "plan") {
+    const job = { id: null, workspace_id: workspaceId, input };
+    return promptPlan(input, buildTopicHistory(job, input), buildPerformanceInsights(job, input), templates);
   }
-}
 
-// ---------------------- Routes ----------------------
-app.post("/api/jobs", upload.array("product_images", 3), (req, res) => {
-  const jobId = uuidv4();
-  const input = JSON.parse(req.body.input_json || "{}");
+  const planJson = plan || applyMixedMode(mockStageResponse("plan", promptPlan(input)), input);
+  if (key === "captions") return promptCaptions(input, planJson, platform, templates);
 
-  const job = {
-    id: jobId,
-    status: "queued",
-    progress: 0,
-    input,
-    createdAt: Date.now()
-  };
+  const captionsJson = captions || mockStageResponse("captions", promptCaptions(input, planJson, platform));
+  if (key === "editorial_visuals") return promptEditorialVisuals(input, planJson, captionsJson, templates);
 
-  jobs.set(jobId, job);
-  saveJobToFile(job);
-  console.log(`Created job ${jobId}, total jobs in memory: ${jobs.size}`);
+  const brief =
+    visual ||
+    mockStageResponse("editorial_visuals", promptEditorialVisuals(input, planJson, captionsJson)).editorial_visuals[0];
+  const compiled = compileEditorialPrompt(resolveBrandStyle(input, workspaceId), brief, platform, templates);
+  return key === "editorial_image" ? compiled.image_prompt : compiled.negative_prompt;
+}
 
-  runJob(jobId);
+// ---------------------- Prompt compilers ----------------------
+// Where the overlay text will sit, so the icon and any texture stay out of it
+const TEXT_ZONES = {
+  headline_center: "Keep the central area completely empty; place the icon small in the lower third.",
+  headline_top: "Keep the top half completely empty; place the icon in the lower third.",
+  split_headline_subtext: "Keep the top-left and bottom-left areas empty; place the icon on the right side."
+};
 
-  res.json({ jobId });
-});
+function compileEditorialPrompt(
+  brandStyle,
+  v,
+  platform = "instagram",
+  templates = DEFAULT_PROMPT_TEMPLATES,
+  spec = PLATFORM_SPECS[platform]
+) {
+  const { background: bg, mood, palette = [], composition, do_not = [] } = brandStyle.style;
 
-app.get("/api/jobs/:id", (req, res) => {
-  console.log(`Looking up job ${req.params.id}, total jobs in memory: ${jobs.size}`);
-  console.log(`Available job IDs: ${Array.from(jobs.keys()).join(', ')}`);
-  
-  let job = jobs.get(req.params.id);
-  
-  // If not in memory, try to load from file
-  if (!job) {
-    console.log(`Job ${req.params.id} not in memory, trying to load from file`);
-    job = loadJobFromFile(req.params.id);
-    if (job) {
-      jobs.set(req.params.id, job);
-      console.log(`Loaded job ${req.params.id} from file`);
-    }
-  }
-  
-  if (!job) {
-    console.log(`Job ${req.params.id} not found in memory or file`);
-    return res.status(404).json({ error: "Not found" });
-  }
-  
-  console.log(`Found job ${req.params.id} with status: ${job.status}`);
-  res.json(job);
-});
+  // Headline/subtext are typeset by renderEditorialPost; the model only leaves room for them
+  const image_prompt = renderPromptTemplate(templates.editorial_image.body, {
+    platform: spec.label,
+    width: spec.width,
+    height: spec.height,
+    orientation: spec.width > spec.height ? "landscape" : spec.width < spec.height ? "portrait" : "square",
+    background: bg,
+    mood,
+    palette: palette.join(", "),
+    composition: composition || "lots of whitespace",
+    icon_style: brandStyle.editorial?.icon_style || "monochrome line icon",
+    icon: v.icon_hint || "simple icon",
+    text_zone: TEXT_ZONES[v.layout] || TEXT_ZONES.headline_center
+  }).trim();
 
-// Serve outputs
-app.use("/downloads", express.static(OUTPUTS_DIR));
+  const negative_prompt = [...renderPromptTemplate(templates.editorial_negative.body, {}).split(","), ...do_not]
+    .map((item) => item.trim())
+    .filter((item, i, all) => item && all.indexOf(item) === i)
+    .join(", ");
 
-app.get("/downloads/:jobId.zip", (req, res) => {
-  const { jobId } = req.params;
-  const outDir = path.join(OUTPUTS_DIR, jobId);
+  return { image_prompt, negative_prompt };
+}
+
+function compileProductModelBrief(brandStyle, post, brandContext) {
+  const pm = brandStyle.product_model;
+  const preset = pm.style_preset || "lifestyle_clean";
+  const palette = brandStyle.style.palette || [];
+  const doNot = brandStyle.style.do_not || [];
+  const productName =
+    brandContext?.product_mode?.product_names?.[0] ||
+    brandContext?.brand?.offer_summary ||
+    "the product";
+
+  const base =
+    `Commercial product imagery. Style preset: ${preset}. ` +
+    `Lighting: ${pm.lighting}. Background: ${pm.background}. ` +
+    `Camera: ${pm.camera}. Brand mood: ${brandStyle.style.mood}.` +
+    (palette.length ? ` Accent colors: ${palette.join(", ")}.` : "") +
+    (brandStyle.style.composition ? ` Composition: ${brandStyle.style.composition}.` : "") +
+    (pm.model_notes ? ` Notes: ${pm.model_notes}.` : "");
+
+  const avoid = doNot.length ? `, ${doNot.join(", ")}` : "";
+
+  const variants = [
+    {
+      variant: "A",
+      prompt: `${base} Feature ${productName} in a clean lifestyle scene. Minimal props. Natural premium feel.`,
+      negative_prompt:
+        "blurry, clutter, weird hands, extra fingers, distorted text, low quality, watermark" + avoid
+    },
+    {
+      variant: "B",
+      prompt: `${base} Studio-clean shot of ${productName}. Neutral background. Crisp premium product focus.`,
+      negative_prompt:
+        "blurry, clutter, warped label, distorted logo, low quality, watermark" + avoid
+    }
+  ];
+
+  return { id: post.id, product_focus: productName, style_preset: preset, variants };
+}
+
+// ---------------------- Editorial text overlay ----------------------
+// The image model paints background + icon only; headline/subtext are typeset here with Inter
+// so the words are always spelled exactly as in editorial_visuals.json.
+const FONT_FILES = ["400Regular/Inter_400Regular.ttf", "700Bold/Inter_700Bold.ttf"].map((f) =>
+  fileURLToPath(import.meta.resolve(`@expo-google-fonts/inter/${f}`))
+);
+const RESVG_FONT = { fontFiles: FONT_FILES, loadSystemFonts: false, defaultFontFamily: "Inter" };
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// WCAG 2.x relative luminance / contrast ratio
+function relativeLuminance([r, g, b]) {
+  const lin = (c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+}
+
+function contrastRatio(rgbA, rgbB) {
+  const [hi, lo] = [relativeLuminance(rgbA), relativeLuminance(rgbB)].sort((a, b) => b - a);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+const textWidthCache = new Map();
+
+function measureText(text, size, weight) {
+  const key = `${weight}|${size}|${text}`;
+  if (!textWidthCache.has(key)) {
+    const svg =
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${size * text.length + 10}" height="${size * 2}">` +
+      `<text x="0" y="${size}" font-family="Inter" font-size="${size}" font-weight="${weight}">` +
+      `${escapeXml(text)}</text></svg>`;
+    textWidthCache.set(key, new Resvg(svg, { font: RESVG_FONT }).getBBox()?.width || 0);
+  }
+  return textWidthCache.get(key);
+}
+
+function wrapText(text, size, weight, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measureText(candidate, size, weight) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Largest size (step 2px) at which the text fits in maxLines lines
+function fitText(text, { maxSize, minSize, weight, maxWidth, maxLines }) {
+  for (let size = maxSize; size > minSize; size -= 2) {
+    const lines = wrapText(text, size, weight, maxWidth);
+    if (lines.length <= maxLines && lines.every((l) => measureText(l, size, weight) <= maxWidth)) {
+      return { size, lines };
+    }
+  }
+  return { size: minSize, lines: wrapText(text, minSize, weight, maxWidth) };
+}
+
+function textBlockSvg({ id, lines, size, weight, x, top, anchor, fill, opacity = 1 }) {
+  const lineHeight = Math.round(size * 1.18);
+  const tspans = lines
+    .map((l, i) => `<tspan x="${x}" y="${Math.round(top + size + i * lineHeight)}">${escapeXml(l)}</tspan>`)
+    .join("");
+  return (
+    `<text id="${id}" font-family="Inter" font-size="${size}" font-weight="${weight}" ` +
+    `fill="${fill}" fill-opacity="${opacity}" text-anchor="${anchor}">${tspans}</text>`
+  );
+}
+
+function blockHeight(block) {
+  return block.lines.length ? Math.round(block.size * 1.18) * (block.lines.length - 1) + block.size * 1.25 : 0;
+}
+
+// Palette colour with the best contrast against the background's mean colour
+async function pickTextColor(background, palette) {
+  const { channels } = await sharp(background).stats();
+  const bg = channels.slice(0, 3).map((c) => Math.round(c.mean));
+  const candidates = [...(palette || []), "#111111", "#FFFFFF"];
+  return candidates.reduce((best, hex) =>
+    contrastRatio(hexToRgb(hex), bg) > contrastRatio(hexToRgb(best), bg) ? hex : best
+  );
+}
+
+// Text blocks (and the split layout's rule) for one post, in image pixels.
+// Layouts: headline_center, headline_top, split_headline_subtext.
+async function layoutEditorialText(background, { headline, subtext, layout }, brandStyle, { width, height }) {
+  const short = Math.min(width, height);
+  const margin = Math.round(short * 0.08);
+  const maxWidth = width - margin * 2;
+  const fill = await pickTextColor(background, brandStyle?.style?.palette);
+
+  const head = fitText(headline || "", {
+    maxSize: Math.round(short * 0.085),
+    minSize: Math.round(short * 0.045),
+    weight: 700,
+    maxWidth,
+    maxLines: 3
+  });
+  const sub = subtext
+    ? fitText(subtext, {
+        maxSize: Math.round(short * 0.04),
+        minSize: Math.round(short * 0.028),
+        weight: 400,
+        maxWidth,
+        maxLines: 2
+      })
+    : { size: 0, lines: [] };
+  const gap = sub.lines.length ? Math.round(head.size * 0.6) : 0;
+
+  if (layout === "split_headline_subtext") {
+    const subTop = height - margin - blockHeight(sub);
+    return {
+      fill,
+      blocks: [
+        { id: "headline", ...head, weight: 700, x: margin, top: margin, anchor: "start", fill },
+        { id: "subtext", ...sub, weight: 400, x: margin, top: subTop, anchor: "start", fill, opacity: 0.75 }
+      ],
+      rule: sub.lines.length
+        ? { x: margin, y: subTop - gap, width: Math.round(short * 0.12), height: Math.max(2, Math.round(short * 0.004)) }
+        : null
+    };
+  }
+
+  const total = blockHeight(head) + gap + blockHeight(sub);
+  const top = layout === "headline_top" ? margin * 1.5 : Math.round((height - total) / 2);
+  return {
+    fill,
+    blocks: [
+      { id: "headline", ...head, weight: 700, x: width / 2, top, anchor: "middle", fill },
+      {
+        id: "subtext",
+        ...sub,
+        weight: 400,
+        x: width / 2,
+        top: top + blockHeight(head) + gap,
+        anchor: "middle",
+        fill,
+        opacity: 0.75
+      }
+    ],
+    rule: null
+  };
+}
+
+// Pixel box of each typeset line (Inter ascent ~0.8em above the baseline, descent ~0.2em below)
+function textLineBoxes(block) {
+  const lineHeight = Math.round(block.size * 1.18);
+  return block.lines.map((line, i) => {
+    const width = measureText(line, block.size, block.weight);
+    const baseline = block.top + block.size + i * lineHeight;
+    return {
+      left: Math.round(block.anchor === "middle" ? block.x - width / 2 : block.x),
+      top: Math.round(baseline - block.size * 0.8),
+      width: Math.ceil(width),
+      height: Math.round(block.size)
+    };
+  });
+}
+
+/**
+ * Builds the editable SVG (background embedded + live <text> layer) for one post and rasterises it.
+ */
+async function renderEditorialPost(background, visual, brandStyle, { width, height }) {
+  const { fill, blocks, rule } = await layoutEditorialText(background, visual, brandStyle, { width, height });
+  const [headlineBlock, subtextBlock] = blocks;
+  const parts = [
+    textBlockSvg(headlineBlock),
+    rule
+      ? `<rect id="rule" x="${rule.x}" y="${rule.y}" width="${rule.width}" ` +
+        `height="${rule.height}" fill="${fill}" fill-opacity="0.4"/>`
+      : "",
+    textBlockSvg(subtextBlock)
+  ];
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+    `  <image id="background" width="${width}" height="${height}" preserveAspectRatio="xMidYMid slice" ` +
+    `xlink:href="data:image/png;base64,${background.toString("base64")}"/>\n` +
+    `  <g id="text-layer">\n    ${parts.filter(Boolean).join("\n    ")}\n  </g>\n</svg>\n`;
+
+  const png = new Resvg(svg, { font: RESVG_FONT, fitTo: { mode: "original" } }).render().asPng();
+  return { svg, png, text_color: fill };
+}
+
+// ---------------------- Stage schemas + validation ----------------------
+const POST_TYPES = ["educational", "authority", "relatable", "promotional"];
+const CTA_TYPES = ["save", "comment", "learn_more", "shop"];
+const POST_FORMATS = ["single", "carousel", "reel_script", "story_set"];
+const VISUAL_MODES = ["editorial", "product_model"];
+const CAROUSEL_SLIDES = [5, 10];
+const REEL_SHOTS = [3, 12];
+const STORY_FRAMES = [3, 5];
+const STICKER_TYPES = ["poll", "quiz", "question", "slider", "countdown", "link"];
+
+// Field specs per stage item: { type, enum, required }
+const STAGE_SCHEMAS = {
+  plan: {
+    id: { type: "string", required: true },
+    post_type: { enum: POST_TYPES, required: true },
+    topic: { type: "string", required: true },
+    angle: { type: "string" },
+    hook_idea: { type: "string" },
+    value_points: { type: "array" },
+    cta_type: { enum: CTA_TYPES, required: true },
+    recommended_format: { enum: POST_FORMATS },
+    visual_mode: { enum: VISUAL_MODES }
+  },
+  captions: {
+    id: { type: "string", required: true },
+    caption: { type: "string", required: true },
+    hook: { type: "string" },
+    cta: { type: "string" },
+    alt_text: { type: "string", required: true },
+    internal_notes: { type: "object" }
+  },
+  brand_context: {
+    offer: { type: "string" },
+    target_customer: { type: "string" },
+    tone_words: { type: "array" },
+    voice_samples: { type: "array" },
+    words_to_use: { type: "array", required: true }
+  },
+  editorial_visuals: {
+    id: { type: "string", required: true },
+    headline: { type: "string", required: true },
+    subtext: { type: "string" },
+    icon_hint: { type: "string" },
+    layout: { enum: LAYOUT_TEMPLATES, required: true }
+  },
+  localized_visuals: {
+    id: { type: "string", required: true },
+    headline: { type: "string", required: true },
+    subtext: { type: "string" }
+  },
+  formats: {
+    id: { type: "string", required: true },
+    format: { enum: POST_FORMATS.filter((f) => f !== "single"), required: true }
+  },
+  carousel_slide: {
+    headline: { type: "string", required: true },
+    subtext: { type: "string" }
+  },
+  reel_script: {
+    hook: { type: "string" },
+    shots: { type: "array", required: true },
+    voiceover: { type: "string", required: true },
+    audio_hint: { type: "string" }
+  },
+  reel_shot: {
+    duration_s: { type: "number", required: true },
+    visual: { type: "string", required: true },
+    on_screen_text: { type: "string" }
+  },
+  story_frame: {
+    headline: { type: "string", required: true },
+    subtext: { type: "string" },
+    sticker: { type: "object" }
+  },
+  story_sticker: {
+    type: { enum: STICKER_TYPES, required: true },
+    prompt: { type: "string", required: true },
+    options: { type: "array" }
+  }
+};
+
+function checkFields(item, schema, label) {
+  const errors = [];
+  if (!item || typeof item !== "object") return [`${label} must be an object`];
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = item[key];
+    if (value === undefined || value === null || value === "") {
+      if (spec.required) errors.push(`${label}.${key} is required`);
+      continue;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      errors.push(`${label}.${key} must be one of ${spec.enum.join("|")} (got "${value}")`);
+    }
+    if (spec.type === "array" && !Array.isArray(value)) {
+      errors.push(`${label}.${key} must be an array`);
+    } else if (spec.type && spec.type !== "array" && typeof value !== spec.type) {
+      errors.push(`${label}.${key} must be a ${spec.type}`);
+    }
+  }
+  return errors;
+}
+
+// Every expected id present exactly once, no unknown ids
+function checkIdCoverage(items, expectedIds, label) {
+  const errors = [];
+  const seen = new Set();
+  for (const item of items) {
+    if (!item?.id) continue;
+    if (seen.has(item.id)) errors.push(`${label}: duplicate id ${item.id}`);
+    seen.add(item.id);
+    if (expectedIds && !expectedIds.includes(item.id)) errors.push(`${label}: unknown id ${item.id}`);
+  }
+  for (const id of expectedIds || []) {
+    if (!seen.has(id)) errors.push(`${label}: missing entry for ${id}`);
+  }
+  return errors;
+}
+
+function planPostIds(planJson) {
+  return (planJson?.plan?.posts || []).map((p) => p.id);
+}
+
+function validatePlanJson(json, brandContext) {
+  const posts = json?.plan?.posts;
+  if (!Array.isArray(posts)) return ["plan.posts must be an array"];
+
+  const expected = Number(brandContext?.campaign?.posts_count);
+  const errors = [];
+  if (expected && posts.length !== expected) {
+    errors.push(`plan.posts must contain exactly ${expected} posts (got ${posts.length})`);
+  }
+  posts.forEach((p, i) => errors.push(...checkFields(p, STAGE_SCHEMAS.plan, `plan.posts[${i}]`)));
+  errors.push(...checkIdCoverage(posts, null, "plan.posts"));
+
+  const { postTypes } = resolveCampaignMix(brandContext);
+  for (const type of POST_TYPES) {
+    const got = posts.filter((p) => p.post_type === type).length;
+    const want = postTypes[type] || 0;
+    if (got !== want) errors.push(`plan must have ${want} ${type} posts (got ${got})`);
+  }
+  return errors;
+}
+
+function validateCaptionsJson(json, planJson, platform) {
+  const captions = json?.captions;
+  if (!Array.isArray(captions)) return ["captions must be an array"];
+
+  const errors = [];
+  const maxChars = PLATFORM_SPECS[platform]?.max_chars;
+  captions.forEach((c, i) => {
+    errors.push(...checkFields(c, STAGE_SCHEMAS.captions, `captions[${i}]`));
+    if (maxChars && c?.caption?.length > maxChars) {
+      errors.push(`captions[${i}].caption is ${c.caption.length} characters (max ${maxChars})`);
+    }
+  });
+  errors.push(...checkIdCoverage(captions, planPostIds(planJson), "captions"));
+  return errors;
+}
+
+function validateEditorialVisualsJson(json, planJson) {
+  const visuals = json?.editorial_visuals;
+  if (!Array.isArray(visuals)) return ["editorial_visuals must be an array"];
+
+  const errors = [];
+  visuals.forEach((v, i) =>
+    errors.push(...checkFields(v, STAGE_SCHEMAS.editorial_visuals, `editorial_visuals[${i}]`))
+  );
+  errors.push(...checkIdCoverage(visuals, planPostIds(planJson), "editorial_visuals"));
+  return errors;
+}
+
+function validateLocalizedJson(json, planJson, platform) {
+  const visuals = json?.editorial_visuals;
+  const errors = validateCaptionsJson(json, planJson, platform);
+  if (!Array.isArray(visuals)) return [...errors, "editorial_visuals must be an array"];
+
+  visuals.forEach((v, i) =>
+    errors.push(...checkFields(v, STAGE_SCHEMAS.localized_visuals, `editorial_visuals[${i}]`))
+  );
+  errors.push(...checkIdCoverage(visuals, planPostIds(planJson), "editorial_visuals"));
+  return errors;
+}
+
+// Items of one kind within [min, max], each checked against its schema
+function checkFrames(items, [min, max], schema, label) {
+  if (!Array.isArray(items)) return [`${label} must be an array`];
+  const errors = [];
+  if (items.length < min || items.length > max) {
+    errors.push(`${label} must have ${min}-${max} entries (got ${items.length})`);
+  }
+  items.forEach((item, i) => errors.push(...checkFields(item, schema, `${label}[${i}]`)));
+  return errors;
+}
+
+function validateFormatsJson(json, planJson) {
+  const items = json?.formats;
+  if (!Array.isArray(items)) return ["formats must be an array"];
+
+  const errors = [];
+  const expected = formatPosts(planJson);
+  items.forEach((item, i) => {
+    const label = `formats[${i}]`;
+    errors.push(...checkFields(item, STAGE_SCHEMAS.formats, label));
+    const post = expected.find((p) => p.id === item?.id);
+    if (post && item.format !== post.recommended_format) {
+      errors.push(`${label}.format must be "${post.recommended_format}" for ${post.id}`);
+    }
+    if (item?.format === "carousel") {
+      errors.push(...checkFrames(item.slides, CAROUSEL_SLIDES, STAGE_SCHEMAS.carousel_slide, `${label}.slides`));
+    } else if (item?.format === "reel_script") {
+      errors.push(...checkFields(item, STAGE_SCHEMAS.reel_script, label));
+      if (Array.isArray(item.shots)) {
+        errors.push(...checkFrames(item.shots, REEL_SHOTS, STAGE_SCHEMAS.reel_shot, `${label}.shots`));
+      }
+    } else if (item?.format === "story_set") {
+      errors.push(...checkFrames(item.frames, STORY_FRAMES, STAGE_SCHEMAS.story_frame, `${label}.frames`));
+      (Array.isArray(item.frames) ? item.frames : []).forEach((frame, j) => {
+        if (frame?.sticker) {
+          errors.push(...checkFields(frame.sticker, STAGE_SCHEMAS.story_sticker, `${label}.frames[${j}].sticker`));
+        }
+      });
+    }
+  });
+  errors.push(...checkIdCoverage(items, expected.map((p) => p.id), "formats"));
+  return errors;
+}
+
+// ---------------------- Compliance linter ----------------------
+// Each rule: { rule, pattern, message }. Patterns are matched case-insensitively against caption text.
+// Claims need something concrete to be claims: a money amount, percentage or income word, or a named condition.
+// "Make 3 small changes", "Treat yourself" or "prevents burnout" are ordinary copy.
+const MONEY = String.raw`(?:[$€£]\s?\d[\d,.]*\s?k?|\d[\d,.]*\s?k?\s?(?:dollars|euros|pounds|usd|eur|gbp)\b)`;
+const INCOME_WORDS = "income|revenue|profits?|earnings|salary|sales";
+const MEDICAL_CONDITIONS =
+  "acne|eczema|psoriasis|rosacea|dermatitis|cancer|tumou?rs?|diabetes|arthritis|depression|anxiety|insomnia|" +
+  "migraines?|infections?|diseases?|illness(?:es)?|covid(?:-19)?|flu|colds?|cold sores|hair loss|alopecia|" +
+  "obesity|hypertension|high blood pressure|asthma|allerg(?:y|ies)|adhd|autism|dementia|alzheimer'?s|inflammation";
+
+const CLAIM_RULES = {
+  guarantee: [
+    { rule: "guarantee_claim", pattern: /\bguarantee(d|s)?\b/, message: "guarantee claim" },
+    { rule: "guarantee_claim", pattern: /\brisk[- ]free\b|\bno risk\b/, message: "risk-free claim" },
+    { rule: "guarantee_claim", pattern: /\b100\s?% (effective|results|safe|success)\b/, message: "absolute efficacy claim" }
+  ],
+  income: [
+    {
+      rule: "income_claim",
+      pattern: new RegExp(
+        String.raw`\b(?:make|makes|made|making|earn|earns|earned|earning)\s+(?:over\s+|up to\s+|an extra\s+|at least\s+)?${MONEY}`
+      ),
+      message: "specific earnings claim"
+    },
+    {
+      rule: "income_claim",
+      pattern: new RegExp(
+        String.raw`${MONEY}\s+(?:in\s+|of\s+)?(?:passive\s+|extra\s+|monthly\s+)?(?:${INCOME_WORDS})\b|` +
+          String.raw`\b\d+\s?%\s+(?:more\s+)?(?:${INCOME_WORDS})\b|\b(?:double|triple|\d+x)\s+your\s+(?:${INCOME_WORDS})\b`
+      ),
+      message: "specific earnings claim"
+    },
+    { rule: "income_claim", pattern: /\bpassive income\b|\bget rich\b|\bfinancial freedom\b/, message: "income outcome claim" },
+    { rule: "income_claim", pattern: /\bquit your (day )?job\b|\bsix[- ]figures?\b/, message: "income outcome claim" }
+  ],
+  medical: [
+    {
+      rule: "medical_claim",
+      pattern: new RegExp(
+        String.raw`\b(?:cures?|cured|heals?|healed|treats?|treated|prevents?|prevented|reverses?|diagnoses?)\s+` +
+          String.raw`(?:your\s+|the\s+|all\s+)?(?:${MEDICAL_CONDITIONS})\b|` +
+          String.raw`\b(?:cure|treatment|remedy)\s+for\s+(?:your\s+)?(?:${MEDICAL_CONDITIONS})\b`
+      ),
+      message: "treatment/cure claim"
+    },
+    { rule: "medical_claim", pattern: /\bclinically proven\b|\bfda[- ]approved\b|\bdoctor[- ]recommended\b/, message: "unsubstantiated authority claim" },
+    { rule: "medical_claim", pattern: /\bno side effects\b/, message: "medical claim" }
+  ]
+};
+
+// Industry packs apply on top of the campaign flags, keyed by brand.industry
+const INDUSTRY_RULE_PACKS = {
+  healthcare: [
+    ...CLAIM_RULES.medical,
+    { rule: "healthcare", pattern: /\binstant relief\b|\bpain[- ]free\b|\bsafe for everyone\b/, message: "absolute health outcome" },
+    { rule: "healthcare", pattern: /\breplaces? (your )?(doctor|medication|treatment)\b/, message: "discourages professional care" }
+  ],
+  finance: [
+    ...CLAIM_RULES.income,
+    { rule: "finance", pattern: /\bguaranteed returns?\b|\bdouble your money\b|\bcan'?t lose\b/, message: "guaranteed return claim" },
+    { rule: "finance", pattern: /\bbeat the market\b|\b\d+\s?% (returns?|yield|apy)\b/, message: "performance claim without disclosure" }
+  ],
+  skincare: [
+    { rule: "skincare", pattern: /\berase(s)? wrinkles\b|\brevers(e|es|ing) (aging|ageing)\b/, message: "drug-like cosmetic claim" },
+    { rule: "skincare", pattern: /\bpermanent(ly)? (results|clear)\b|\bchemical[- ]free\b/, message: "misleading cosmetic claim" },
+    { rule: "skincare", pattern: /\b(cures?|heals?|treats?) (acne|eczema|psoriasis|rosacea)\b/, message: "treats a skin condition" },
+    { rule: "skincare", pattern: /\bclinically proven\b|\bdermatologist[- ]approved\b/, message: "unsubstantiated authority claim" }
+  ]
+};
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+const HASHTAG = /(^|\s)#[\p{L}\d_]+/u;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function countWords(text) {
+  return String(text || "").split(/\s+/).filter(Boolean).length;
+}
+
+function complianceRules(brandContext) {
+  const compliance = brandContext?.campaign?.compliance || {};
+  const industry = String(brandContext?.brand?.industry || "").toLowerCase();
+  const rules = [...CLAIM_RULES.guarantee];
+  if (compliance.no_income_claims) rules.push(...CLAIM_RULES.income);
+  if (compliance.no_medical_claims) rules.push(...CLAIM_RULES.medical);
+  rules.push(...(INDUSTRY_RULE_PACKS[industry] || []));
+  // Packs reuse the flag rules; keep each pattern once
+  return rules.filter((r, i) => rules.indexOf(r) === i);
+}
+
+/**
+ * Lints one caption entry ({ caption, hook, cta, alt_text }) written in `locale`.
+ * Returns [{ rule, severity, message, match }]; "error" must be fixed, "warning" is advisory.
+ */
+function lintCaption(entry, brandContext, platform, locale = resolveLocales(brandContext)[0]) {
+  const text = [entry.caption, entry.hook, entry.cta, entry.alt_text].filter(Boolean).join("\n");
+  const violations = [];
+  const add = (rule, severity, message, match) => violations.push({ rule, severity, message, match });
+
+  // Letter-aware boundaries so "über" or "garantía" match as whole words too
+  for (const word of wordsToAvoid(brandContext, locale)) {
+    const m = new RegExp(`(?<![\\p{L}\\d])${escapeRegExp(word)}(?![\\p{L}\\d])`, "iu").exec(text);
+    if (m) add("banned_word", "error", `uses banned word "${word}"`, m[0]);
+  }
+
+  const emoji = EMOJI.exec(text);
+  if (emoji) add("emoji", "error", "contains an emoji", emoji[0]);
+  const hashtag = HASHTAG.exec(text);
+  if (hashtag) add("hashtag", "error", "contains a hashtag", hashtag[0].trim());
+
+  const [min, max] = PLATFORM_SPECS[platform]?.words || [60, 140];
+  const words = countWords(entry.caption);
+  if (words < min || words > max) add("word_count", "warning", `${words} words (expected ${min}–${max})`, "");
+
+  for (const { rule, pattern, message } of complianceRules(brandContext)) {
+    const m = new RegExp(pattern.source, "i").exec(text);
+    // Flag-level and industry rules overlap; report each offending phrase once
+    if (m && !violations.some((v) => v.match.toLowerCase() === m[0].toLowerCase())) {
+      add(rule, "error", message, m[0]);
+    }
+  }
+
+  return violations;
+}
+
+// Entries for secondary locales carry `locale`; primary-locale entries don't
+function complianceEntry(id, platform, violations, locale) {
+  const status = violations.some((v) => v.severity === "error") ? "fail" : violations.length ? "warn" : "pass";
+  return { id, platform, ...(locale && { locale }), status, violations };
+}
+
+function lintCaptions(captionsJson, brandContext, platform, locale) {
+  return (captionsJson?.captions || []).map((c) =>
+    complianceEntry(c.id, platform, lintCaption(c, brandContext, platform, locale), locale)
+  );
+}
+
+// After a single caption regeneration: re-lint that post and recompute the summary
+function refreshComplianceReport(outDir, brandContext, postId, captionEntry, platform, locale) {
+  const reportPath = path.join(outDir, "compliance_report.json");
+  const report = readJsonFile(reportPath, { rewrites: [], posts: [] });
+  const entry = complianceEntry(postId, platform, lintCaption(captionEntry, brandContext, platform, locale), locale);
+
+  const idx = report.posts.findIndex((p) => p.id === postId && p.platform === platform && p.locale === locale);
+  if (idx === -1) report.posts.push(entry);
+  else report.posts[idx] = entry;
+  report.summary = summarizeCompliance(report.posts);
+  writeJsonFile(reportPath, report);
+  return entry;
+}
+
+function summarizeCompliance(posts) {
+  return {
+    checked: posts.length,
+    passed: posts.filter((p) => p.status === "pass").length,
+    warnings: posts.filter((p) => p.status === "warn").length,
+    failed: posts.filter((p) => p.status === "fail").length
+  };
+}
+
+/**
+ * Lints captions for every platform and, when campaign.compliance.auto_rewrite is set,
+ * rewrites failing captions (COMPLIANCE_REWRITE_ATTEMPTS tries each) with the violations as feedback.
+ * `locale` is set for a secondary locale's captions, which are rewritten directly in that language.
+ * Returns { captions: { [platform]: captionsJson }, report }.
+ */
+async function enforceCompliance(
+  provider,
+  brandContext,
+  planJson,
+  captionsByPlatform,
+  templates = DEFAULT_PROMPT_TEMPLATES,
+  locale
+) {
+  const autoRewrite = Boolean(brandContext?.campaign?.compliance?.auto_rewrite);
+  const rewrites = [];
+
+  for (const [platform, captionsJson] of Object.entries(captionsByPlatform)) {
+    for (const entry of lintCaptions(captionsJson, brandContext, platform, locale)) {
+      if (!autoRewrite || entry.status !== "fail") continue;
+
+      const post = planJson.plan.posts.find((p) => p.id === entry.id);
+      const onePlan = singlePostPlan(planJson, post);
+      let violations = entry.violations;
+
+      for (let attempt = 1; attempt <= COMPLIANCE_REWRITE_ATTEMPTS; attempt++) {
+        const feedback =
+          `This caption failed compliance review. Rewrite it to fix:\n` +
+          violations.map((v) => `- ${v.message}${v.match ? ` ("${v.match}")` : ""}`).join("\n");
+        let rewritten;
+        try {
+          const { data } = await callOpenAIJsonValidated(
+            provider,
+            locale
+              ? `localize_${locale}`
+              : platform === resolvePlatforms(brandContext)[0]
+                ? "captions"
+                : `captions_${platform}`,
+            withFeedback(promptCaptions(brandContext, onePlan, platform, templates, locale), feedback),
+            (json) => validateCaptionsJson(json, onePlan, platform)
+          );
+          rewritten = data.captions[0];
+        } catch (err) {
+          // A failed rewrite keeps the original caption; the report still flags it
+          rewrites.push({ id: entry.id, platform, ...(locale && { locale }), attempt, error: err.message, violations });
+          break;
+        }
+        const previous = captionsJson.captions.find((c) => c.id === entry.id);
+        rewrites.push({
+          id: entry.id,
+          platform,
+          ...(locale && { locale }),
+          attempt,
+          previous_caption: previous.caption,
+          violations
+        });
+        replaceById(captionsJson.captions, rewritten);
+
+        violations = lintCaption(rewritten, brandContext, platform, locale);
+        if (!violations.some((v) => v.severity === "error")) break;
+      }
+    }
+  }
+
+  const posts = Object.entries(captionsByPlatform).flatMap(([platform, captionsJson]) =>
+    lintCaptions(captionsJson, brandContext, platform, locale)
+  );
+  return {
+    captions: captionsByPlatform,
+    report: { summary: summarizeCompliance(posts), auto_rewrite: autoRewrite, rewrites, posts }
+  };
+}
+
+// One compliance_report.json across the primary and secondary locales
+function mergeComplianceReports([first, ...others]) {
+  const posts = [first, ...others].flatMap((r) => r.posts);
+  return {
+    summary: summarizeCompliance(posts),
+    auto_rewrite: first.auto_rewrite,
+    rewrites: [first, ...others].flatMap((r) => r.rewrites),
+    posts
+  };
+}
+
+// ---------------------- Model providers ----------------------
+// A provider is { name, textModel, imageModel, generateText(messages, opts), generateImage(opts) }.
+// generateImage({ prompt, width, height, references }) resolves to a PNG Buffer at roughly that
+// aspect ratio (callers crop to exact size); references are local file paths for edit-style calls.
+// Both accept opts.onUsage({ input_tokens, image_input_tokens, output_tokens, estimated }) for metering.
+const PROVIDER_NAMES = ["openai", "openai_compatible", "mock"];
+const MODEL_PROVIDER = process.env.MODEL_PROVIDER || "openai";
+
+// gpt-image-1 only renders square, 2:3 or 3:2
+function imageApiSize(width, height) {
+  const ratio = width / height;
+  return ratio > 1.2 ? "1536x1024" : ratio < 0.83 ? "1024x1536" : "1024x1024";
+}
+
+// Rough token count for prompts we meter or estimate ourselves (~4 chars per token)
+function approxTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function createOpenAIProvider({ name, apiKey, baseURL, textModel, imageModel }) {
+  let client = null;
+  // Created lazily so a server running only mock jobs needs no API key
+  const getClient = () => (client ||= new OpenAI({ apiKey, baseURL, maxRetries: 0 }));
+
+  return {
+    name,
+    textModel,
+    imageModel,
+
+    async generateText(messages, { onUsage } = {}) {
+      const resp = await getClient().chat.completions.create({
+        model: textModel,
+        temperature: 0.4,
+        messages
+      });
+      const content = resp.choices?.[0]?.message?.content ?? "";
+      onUsage?.(
+        resp.usage
+          ? { input_tokens: resp.usage.prompt_tokens, output_tokens: resp.usage.completion_tokens }
+          : {
+              input_tokens: approxTokens(messages.map((m) => m.content).join("\n")),
+              output_tokens: approxTokens(content),
+              estimated: true
+            }
+      );
+      return content;
+    },
+
+    async generateImage({ prompt, width = 1024, height = 1024, references = [], onUsage }) {
+      const size = imageApiSize(width, height);
+      let result;
+      if (references.length) {
+        const image = await Promise.all(
+          references.map((p) => toFile(fs.createReadStream(p), path.basename(p)))
+        );
+        result = await getClient().images.edit({
+          model: imageModel,
+          image,
+          prompt,
+          input_fidelity: "high",
+          size
+        });
+      } else {
+        result = await getClient().images.generate({ model: imageModel, prompt, size });
+      }
+
+      const b64 = result.data?.[0]?.b64_json;
+      if (!b64) throw new Error("No image returned from image API");
+
+      // Compatible servers often omit usage; fall back to the gpt-image-1 token table
+      const usage = result.usage;
+      onUsage?.(
+        usage
+          ? {
+              input_tokens: usage.input_tokens_details?.text_tokens ?? usage.input_tokens,
+              image_input_tokens: usage.input_tokens_details?.image_tokens || 0,
+              output_tokens: usage.output_tokens
+            }
+          : { ...estimateImageTokens(prompt, size, references.length), estimated: true }
+      );
+      return Buffer.from(b64, "base64");
+    }
+  };
+}
+
+// ---- Mock provider: deterministic fixtures, no network ----
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// Solid-colour RGB PNG
+function makePlaceholderPng(width, height, [r, g, b]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit, truecolor, no interlace
+
+  const row = Buffer.alloc(1 + width * 3);
+  for (let x = 0; x < width; x++) row.set([r, g, b], 1 + x * 3);
+  const raw = Buffer.concat(Array.from({ length: height }, () => row));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// Prompts embed context as `Label JSON:\n<single-line JSON>`; the mock reads it back
+function readPromptJson(prompt, label) {
+  const line = prompt.split(`${label} JSON:\n`)[1]?.split("\n")[0];
+  try {
+    return line ? JSON.parse(line) : null;
+  } catch {
+    return null;
+  }
+}
+
+function mockStageResponse(stage, prompt) {
+  const brandContext = readPromptJson(prompt, "Brand context") || {};
+  const planJson = readPromptJson(prompt, "Content plan");
+  const brandName = brandContext.brand?.name || "the brand";
+  const ids = planPostIds(planJson);
+
+  if (stage === "plan") {
+    const count = Number(brandContext.campaign?.posts_count) || 16;
+    const { postTypes } = resolveCampaignMix(brandContext);
+    const types = POST_TYPES.flatMap((t) => Array(postTypes[t] || 0).fill(t));
+    return {
+      plan: {
+        month: brandContext.campaign?.month || "2026-01",
+        posts_count: count,
+        posts: Array.from({ length: count }, (_, i) => ({
+          id: `P${String(i + 1).padStart(2, "0")}`,
+          post_type: types[i] || "educational",
+          topic: `${brandName} topic ${i + 1}`,
+          angle: `Angle ${i + 1} for ${brandName}`,
+          hook_idea: `Hook idea ${i + 1}.`,
+          value_points: ["First point", "Second point", "Third point"],
+          cta_type: CTA_TYPES[i % CTA_TYPES.length],
+          recommended_format: POST_FORMATS[i % POST_FORMATS.length],
+          visual_mode: "editorial"
+        }))
+      }
+    };
+  }
+
+  if (stage === "captions" || stage.startsWith("captions_")) {
+    const platform = stage.split("_")[1] || resolvePlatforms(brandContext)[0];
+    // ~6 words per sentence, sized to land inside the platform's word range
+    const sentences = Math.max(1, Math.round(PLATFORM_SPECS[platform].words[0] / 6) + 1);
+    const body = Array.from({ length: sentences }, () => `A calm practical sentence from ${brandName}.`);
+    return {
+      captions: ids.map((id) => ({
+        id,
+        caption: `Here is what matters for ${id}. ${body.join(" ")} Save this for later.`,
+        hook: `Here is what matters for ${id}.`,
+        cta: "Save this for later.",
+        alt_text: `Minimal editorial graphic for ${brandName} post ${id}.`,
+        internal_notes: { target_intent: "awareness", keywords: ["placeholder"] }
+      }))
+    };
+  }
+
+  if (stage === "brand_context") {
+    const sources = readPromptJson(prompt, "Sources") || [];
+    const sentences = sources
+      .flatMap((s) => [s.description, ...(s.text || "").split(/\n|(?<=[.!?])\s+/)])
+      .filter((t) => t && t.length > 20 && t.length < 160);
+    return {
+      brand_context: {
+        offer: sources[0]?.description || `${brandName} products`,
+        target_customer: sentences.find((t) => /\b(for|audience|customers?)\b/i.test(t)) || "",
+        tone_words: ["calm", "clear"],
+        voice_samples: sentences.slice(0, 3),
+        words_to_use: (readPromptJson(prompt, "Key vocabulary") || []).slice(0, 8)
+      }
+    };
+  }
+
+  if (stage.startsWith("localize_")) {
+    const locale = stage.slice("localize_".length);
+    const captions = readPromptJson(prompt, "Captions")?.captions || [];
+    const visuals = readPromptJson(prompt, "Editorial visuals")?.editorial_visuals || [];
+    // A one-post prompt is a compliance rewrite via promptCaptions
+    if (!captions.length) return mockStageResponse("captions", prompt);
+    return {
+      captions: captions.map((c) => ({
+        ...c,
+        caption: `[${locale}] ${c.caption}`,
+        alt_text: `[${locale}] ${c.alt_text}`
+      })),
+      editorial_visuals: visuals.map((v) => ({ ...v, headline: `[${locale}] ${v.headline}` }))
+    };
+  }
+
+  if (stage === "formats") {
+    return {
+      formats: (planJson?.plan?.posts || []).map((p) => {
+        const frame = (n) => ({ headline: `${p.topic} ${n}`, subtext: "One clear point" });
+        if (p.recommended_format === "carousel") {
+          return { id: p.id, format: p.recommended_format, slides: [1, 2, 3, 4, 5].map(frame) };
+        }
+        if (p.recommended_format === "story_set") {
+          return {
+            id: p.id,
+            format: p.recommended_format,
+            frames: [1, 2, 3].map((n) => ({
+              ...frame(n),
+              ...(n === 2 && { sticker: { type: "poll", prompt: "Tried this yet?", options: ["Yes", "Not yet"] } })
+            }))
+          };
+        }
+        return {
+          id: p.id,
+          format: p.recommended_format,
+          hook: `${p.topic} in 20 seconds.`,
+          shots: [1, 2, 3].map((n) => ({ duration_s: 5, visual: `Shot ${n} of ${p.topic}`, on_screen_text: `Point ${n}` })),
+          voiceover: `A calm practical voiceover from ${brandName}.`,
+          audio_hint: "soft acoustic"
+        };
+      })
+    };
+  }
+
+  if (stage === "editorial_visuals") {
+    return {
+      editorial_visuals: ids.map((id, i) => ({
+        id,
+        headline: `${brandName} insight ${id}`,
+        subtext: "A short supporting line",
+        icon_hint: "leaf",
+        layout: LAYOUT_TEMPLATES[i % LAYOUT_TEMPLATES.length],
+        image_prompt: "",
+        negative_prompt: ""
+      }))
+    };
+  }
+
+  return {};
+}
+
+// MOCK_FIXTURES_DIR/<stage>.json, when present, is returned verbatim instead of the generated fixture
+function createMockProvider({ fixturesDir } = {}) {
+  return {
+    name: "mock",
+    textModel: "mock-text",
+    imageModel: "mock-image",
+
+    async generateText(messages, { stage, onUsage } = {}) {
+      const fixture = fixturesDir && path.join(fixturesDir, `${stage}.json`);
+      const prompt = messages.find((m) => m.role === "user")?.content || "";
+      const text =
+        fixture && fs.existsSync(fixture)
+          ? fs.readFileSync(fixture, "utf8")
+          : JSON.stringify(mockStageResponse(stage, prompt));
+
+      onUsage?.({
+        input_tokens: approxTokens(messages.map((m) => m.content).join("\n")),
+        output_tokens: approxTokens(text),
+        estimated: true
+      });
+      return text;
+    },
+
+    async generateImage({ prompt, width = 1024, height = 1024, references = [], onUsage }) {
+      onUsage?.({ ...estimateImageTokens(prompt, imageApiSize(width, height), references.length), estimated: true });
+      const hash = crypto.createHash("md5").update(prompt).digest();
+      // Light pastel derived from the prompt, so the same prompt always yields the same file
+      const rgb = [0, 1, 2].map((i) => 180 + (hash[i] % 60));
+      return makePlaceholderPng(width, height, rgb);
+    }
+  };
+}
+
+const providers = new Map();
+
+// Thrown (code "provider_unavailable") when this server can't build the requested provider
+function providerUnavailable(message) {
+  const err = new Error(message);
+  err.code = "provider_unavailable";
+  return err;
+}
+
+function getProvider(name = MODEL_PROVIDER) {
+  if (!PROVIDER_NAMES.includes(name)) throw providerUnavailable(`Unknown model provider "${name}"`);
+  if (providers.has(name)) return providers.get(name);
+
+  let provider;
+  if (name === "openai") {
+    provider = createOpenAIProvider({
+      name,
+      apiKey: process.env.OPENAI_API_KEY,
+      textModel: process.env.OPENAI_TEXT_MODEL || "gpt-4.1-mini",
+      imageModel: process.env.OPENAI_IMAGE_MODEL || "gpt-image-1"
+    });
+  } else if (name === "openai_compatible") {
+    if (!process.env.COMPAT_BASE_URL) throw providerUnavailable("COMPAT_BASE_URL is not set");
+    provider = createOpenAIProvider({
+      name,
+      apiKey: process.env.COMPAT_API_KEY || "not-needed",
+      baseURL: process.env.COMPAT_BASE_URL,
+      textModel: process.env.COMPAT_TEXT_MODEL || "llama-3.1-8b-instruct",
+      imageModel: process.env.COMPAT_IMAGE_MODEL || "stable-diffusion-xl"
+    });
+  } else {
+    provider = createMockProvider({ fixturesDir: process.env.MOCK_FIXTURES_DIR });
+  }
+
+  providers.set(name, provider);
+  return provider;
+}
+
+// Per-job override via input.provider (name only; endpoints and keys stay server-side).
+// Every call is metered onto job.usage and checked against the workspace budget.
+function providerForJob(job) {
+  return meterProvider(getProvider(job.input?.provider || MODEL_PROVIDER), job);
+}
+
+// ---------------------- Usage + budgets ----------------------
+// USD per 1M tokens. MODEL_PRICING (JSON, same shape) overrides or adds models; calls to
+// unlisted models are still recorded, with cost_usd null.
+function parseModelPricing(raw) {
+  if (!raw) return {};
+  let pricing;
+  try {
+    pricing = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`MODEL_PRICING is not valid JSON: ${err.message}`);
+  }
+  if (!pricing || typeof pricing !== "object" || Array.isArray(pricing)) {
+    throw new Error('MODEL_PRICING must be a JSON object, e.g. {"my-model": {"input": 1, "output": 4}}');
+  }
+  return pricing;
+}
+
+const MODEL_PRICING = {
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-image-1": { input: 5, image_input: 10, output: 40 },
+  ...parseModelPricing(process.env.MODEL_PRICING)
+};
+
+// gpt-image-1 output tokens per image at high quality (what "auto" usually picks)
+const IMAGE_OUTPUT_TOKENS = { "1024x1024": 4160, "1024x1536": 6240, "1536x1024": 6208 };
+// Per reference photo in an edit call with input_fidelity "high"
+const REFERENCE_IMAGE_TOKENS = 1500;
+// Expected response size per post, for estimates made before the plan exists
+const ESTIMATE_OUTPUT_TOKENS_PER_POST = { plan: 130, captions: 170, editorial_visuals: 90, formats: 260 };
+
+const BUDGET_ACTIONS = ["reject", "pause"];
+
+function estimateImageTokens(prompt, size, referenceCount = 0) {
+  return {
+    input_tokens: approxTokens(prompt),
+    image_input_tokens: referenceCount * REFERENCE_IMAGE_TOKENS,
+    output_tokens: IMAGE_OUTPUT_TOKENS[size] || IMAGE_OUTPUT_TOKENS["1024x1024"]
+  };
+}
+
+function roundUsd(usd) {
+  return Math.round(usd * 10000) / 10000;
+}
+
+function usageCost(model, { input_tokens = 0, image_input_tokens = 0, output_tokens = 0 }) {
+  const price = MODEL_PRICING[model];
+  if (!price) return null;
+  const usd =
+    input_tokens * price.input +
+    image_input_tokens * (price.image_input ?? price.input) +
+    output_tokens * price.output;
+  return roundUsd(usd / 1e6);
+}
+
+function emptyUsageTotals() {
+  return { input_tokens: 0, image_input_tokens: 0, output_tokens: 0, images: 0, cost_usd: 0, unpriced_calls: 0 };
+}
+
+function addUsage(totals, entry) {
+  totals.input_tokens += entry.input_tokens;
+  totals.image_input_tokens += entry.image_input_tokens;
+  totals.output_tokens += entry.output_tokens;
+  totals.images += entry.images;
+  if (entry.cost_usd === null) totals.unpriced_calls++;
+  totals.cost_usd = roundUsd(totals.cost_usd + (entry.cost_usd || 0));
+  return totals;
+}
+
+// job.usage = { calls: [...one entry per model call], totals }
+function recordUsage(job, { kind, stage, provider, model }, usage) {
+  const tokens = {
+    input_tokens: usage.input_tokens || 0,
+    image_input_tokens: usage.image_input_tokens || 0,
+    output_tokens: usage.output_tokens || 0
+  };
+  const entry = {
+    kind,
+    stage: stage || null,
+    provider,
+    model,
+    ...tokens,
+    images: kind === "image" ? 1 : 0,
+    cost_usd: usageCost(model, tokens),
+    estimated: Boolean(usage.estimated),
+    at: Date.now()
+  };
+  job.usage ||= { calls: [], totals: emptyUsageTotals() };
+  job.usage.calls.push(entry);
+  addUsage(job.usage.totals, entry);
+}
+
+function meterProvider(provider, job) {
+  const meter = (kind, model, stage) => (usage) =>
+    recordUsage(job, { kind, stage, provider: provider.name, model }, usage);
+
+  return {
+    ...provider,
+    onRetry: (message) => emitJobEvent(job, "warning", { message }),
+    async generateText(messages, opts = {}) {
+      assertWithinBudget(job);
+      return provider.generateText(messages, { ...opts, onUsage: meter("text", provider.textModel, opts.stage) });
+    },
+    async generateImage(opts) {
+      assertWithinBudget(job);
+      return provider.generateImage({ ...opts, onUsage: meter("image", provider.imageModel, opts.stage) });
+    }
+  };
+}
+
+// Pre-flight cost of a job from its input alone; excludes repair turns and compliance rewrites
+function estimateJobCost(input, productImageCount = 0, hasBrandGuide = false) {
+  const provider = getProvider(input.provider || MODEL_PROVIDER);
+  const { postTypes, productCount } = resolveCampaignMix(input);
+  const postsCount = Object.values(postTypes).reduce((a, b) => a + b, 0);
+  const platforms = resolvePlatforms(input);
+  const emptyPlan = { plan: { posts: [] } };
+  const planTokens = postsCount * ESTIMATE_OUTPUT_TOKENS_PER_POST.plan;
+  const captionTokens = postsCount * ESTIMATE_OUTPUT_TOKENS_PER_POST.captions;
+  const systemTokens = approxTokens(JSON_SYSTEM_PROMPT);
+
+  // Ingestion reads at most INGEST_MAX_PAGES pages (+ the guide), each capped at INGEST_TEXT_CHARS
+  const ingestSources = (normalizeWebsite(input.brand?.website) ? INGEST_MAX_PAGES : 0) + (hasBrandGuide ? 1 : 0);
+  const ingest =
+    ingestSources && input.ingest !== false
+      ? [
+          {
+            stage: "brand_context",
+            input_tokens: approxTokens(promptBrandContext(input, [], [])) + ingestSources * (INGEST_TEXT_CHARS / 4),
+            output_tokens: 400
+          }
+        ]
+      : [];
+
+  const text = [
+    ...ingest,
+    { stage: "plan", input_tokens: approxTokens(promptPlan(input)), output_tokens: planTokens },
+    ...platforms.map((platform, i) => ({
+      stage: i === 0 ? "captions" : `captions_${platform}`,
+      input_tokens: approxTokens(promptCaptions(input, emptyPlan, platform)) + planTokens,
+      output_tokens: captionTokens
+    })),
+    {
+      stage: "editorial_visuals",
+      input_tokens: approxTokens(promptEditorialVisuals(input, emptyPlan, { captions: [] })) + planTokens + captionTokens,
+      output_tokens: postsCount * ESTIMATE_OUTPUT_TOKENS_PER_POST.editorial_visuals
+    },
+    // Secondary locales rework the primary platform's captions + headlines
+    ...resolveLocales(input)
+      .slice(1)
+      .map((locale) => ({
+        stage: `localize_${locale}`,
+        input_tokens:
+          approxTokens(promptLocalize(input, { captions: [] }, { editorial_visuals: [] }, locale, platforms[0])) +
+          captionTokens,
+        output_tokens: captionTokens
+      })),
+    // Upper bound: the plan decides which posts are carousels, reels or story sets
+    {
+      stage: "formats",
+      input_tokens:
+        approxTokens(promptFormats(input, emptyPlan, { captions: [] }, { editorial_visuals: [] })) +
+        planTokens +
+        captionTokens,
+      output_tokens: postsCount * ESTIMATE_OUTPUT_TOKENS_PER_POST.formats
+    }
+  ].map((line) => {
+    const tokens = { input_tokens: line.input_tokens + systemTokens, output_tokens: line.output_tokens };
+    return { kind: "text", stage: line.stage, model: provider.textModel, calls: 1, images: 0, ...tokens };
+  });
+
+  // Typical compiled prompt length; the brief is not known yet
+  const imagePrompt = "x".repeat(900);
+  const images = [
+    ...platforms.map((platform) => ({
+      stage: `editorial_${platform}`,
+      calls: postsCount - productCount,
+      tokens: estimateImageTokens(imagePrompt, imageApiSize(PLATFORM_SPECS[platform].width, PLATFORM_SPECS[platform].height))
+    })),
+    {
+      stage: "product_model",
+      calls: productCount * 2,
+      tokens: estimateImageTokens(imagePrompt, "1024x1024", productImageCount)
+    }
+  ]
+    .filter((line) => line.calls > 0)
+    .map(({ stage, calls, tokens }) => ({
+      kind: "image",
+      stage,
+      model: provider.imageModel,
+      calls,
+      images: calls,
+      input_tokens: tokens.input_tokens * calls,
+      image_input_tokens: tokens.image_input_tokens * calls,
+      output_tokens: tokens.output_tokens * calls
+    }));
+
+  // input.stages drops everything after the last listed stage, and unlisted optional ones
+  const last = PIPELINE_STAGES.indexOf(lastPipelineStage(input.stages));
+  const pipelineStage = ({ kind, stage }) =>
+    kind === "image"
+      ? "images"
+      : stage === "brand_context"
+        ? "ingest"
+        : stage.startsWith("captions")
+          ? "captions"
+          : stage.startsWith("localize_")
+            ? "localize"
+            : stage;
+  const lines = [...text, ...images]
+    .filter((line) => {
+      const stage = pipelineStage(line);
+      return runsStage(input.stages, stage) && PIPELINE_STAGES.indexOf(stage) <= last;
+    })
+    .map((line) => ({ ...line, cost_usd: usageCost(line.model, line) }));
+  return {
+    provider: provider.name,
+    posts_count: postsCount,
+    platforms,
+    lines,
+    totals: lines.reduce((totals, line) => addUsage(totals, { image_input_tokens: 0, ...line }), emptyUsageTotals()),
+    excludes: [
+      "validation repair turns",
+      "compliance rewrites",
+      "regenerations",
+      "visual QA regenerations",
+      "story set and product carousel backgrounds"
+    ]
+  };
+}
+
+function monthOf(ts) {
+  return new Date(ts).toISOString().slice(0, 7);
+}
+
+// Spend is summed per call, so a job running across midnight on the 1st splits between months
+function workspaceSpend(workspaceId, month = monthOf(Date.now())) {
+  let usd = 0;
+  for (const job of jobs.values()) {
+    if (job.workspace_id !== workspaceId) continue;
+    for (const call of job.usage?.calls || []) {
+      if (monthOf(call.at) === month) usd += call.cost_usd || 0;
+    }
+  }
+  return roundUsd(usd);
+}
+
+// workspace.budget = { monthly_usd, on_exceed: "reject" | "pause" }; no budget means unlimited
+function budgetStatus(workspaceId) {
+  const budget = workspaces.get(workspaceId)?.budget || null;
+  const spent = workspaceSpend(workspaceId);
+  return {
+    month: monthOf(Date.now()),
+    spent_usd: spent,
+    monthly_usd: budget?.monthly_usd ?? null,
+    on_exceed: budget?.on_exceed ?? null,
+    remaining_usd: budget ? roundUsd(budget.monthly_usd - spent) : null
+  };
+}
+
+function validateBudget(budget) {
+  const errors = [];
+  if (budget === null) return errors;
+  if (typeof budget !== "object") return ["budget must be an object or null"];
+  if (typeof budget.monthly_usd !== "number" || !(budget.monthly_usd >= 0)) {
+    errors.push("monthly_usd must be a number >= 0");
+  }
+  if (!BUDGET_ACTIONS.includes(budget.on_exceed)) {
+    errors.push(`on_exceed must be one of ${BUDGET_ACTIONS.join(", ")}`);
+  }
+  return errors;
+}
+
+// Checked before every model call; runJob turns this into status "paused"
+function assertWithinBudget(job) {
+  if (!job.workspace_id) return;
+  const status = budgetStatus(job.workspace_id);
+  if (status.remaining_usd === null || status.remaining_usd > 0) return;
+
+  const err = new Error(
+    `Monthly budget of $${status.monthly_usd} reached ($${status.spent_usd} spent in ${status.month})`
+  );
+  err.code = "budget_exceeded";
+  throw err;
+}
+
+// ---------------------- OpenAI calls ----------------------
+const TRANSIENT_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+
+function isTransientError(err) {
+  return err instanceof OpenAI.APIConnectionError || TRANSIENT_STATUS.has(err?.status);
+}
+
+// Exponential backoff with jitter: base, 2x base, 4x base... up to OPENAI_RETRIES retries.
+// onRetry(message) lets a metered provider surface retries as job warnings.
+async function withRetry(label, fn, onRetry) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= OPENAI_RETRIES || !isTransientError(err)) throw err;
+      const delay = OPENAI_RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 250);
+      const message = `${label} failed (${err.status || err.message}), retry ${attempt + 1} in ${delay}ms`;
+      console.warn(message);
+      onRetry?.(message);
+      await sleep(delay);
+    }
+  }
+}
+
+const JSON_SYSTEM_PROMPT = "Return ONLY valid JSON. No markdown. No extra text.";
+
+async function callOpenAIText(provider, messages, stage) {
+  return withRetry(
+    `${provider.name} text`,
+    () => provider.generateText([{ role: "system", content: JSON_SYSTEM_PROMPT }, ...messages], { stage }),
+    provider.onRetry
+  );
+}
+
+async function callOpenAIJson(provider, prompt, stage) {
+  const text = await callOpenAIText(provider, [{ role: "user", content: prompt }], stage);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // Helpful debug if JSON breaks
+    throw new Error(`JSON parse failed. First 200 chars:\n${text.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Calls the model, validates the JSON and, on failure, sends the errors back
+ * for up to LLM_REPAIR_ATTEMPTS repair turns. Returns { data, report }.
+ */
+async function callOpenAIJsonValidated(provider, stage, prompt, validate) {
+  const messages = [{ role: "user", content: prompt }];
+  const report = { stage, valid: false, attempts: [] };
+
+  for (let attempt = 0; attempt <= LLM_REPAIR_ATTEMPTS; attempt++) {
+    const text = await callOpenAIText(provider, messages, stage);
+
+    let data = null;
+    let errors;
+    try {
+      data = JSON.parse(text);
+      errors = validate(data);
+    } catch (e) {
+      errors = [`Response is not valid JSON: ${e.message}`];
+    }
+
+    report.attempts.push({ attempt, errors });
+    if (!errors.length) {
+      report.valid = true;
+      return { data, report };
+    }
+
+    messages.push(
+      { role: "assistant", content: text },
+      {
+        role: "user",
+        content:
+          `Your JSON failed validation:\n- ${errors.join("\n- ")}\n\n` +
+          `Fix every error and return the complete corrected JSON with the same schema.`
+      }
+    );
+  }
+
+  const err = new Error(
+    `${stage} failed validation after ${LLM_REPAIR_ATTEMPTS} repair attempts: ` +
+      report.attempts.at(-1).errors.slice(0, 5).join("; ")
+  );
+  err.validationReport = report;
+  throw err;
+}
+
+// "Platforms/x/Editorial_Posts/P01.png" for outputs/<jobId>/Platforms/x/Editorial_Posts/P01.png
+function outputLabel(outPath) {
+  return path.relative(OUTPUTS_DIR, outPath).split(path.sep).slice(1).join("/");
+}
+
+/**
+ * Generates the background, crops (cover) to the exact platform size, then typesets the overlay.
+ * Writes <id>.png (final), <id>.svg (editable) and backgrounds/<id>.png (text-free source).
+ */
+async function generateEditorialImage(provider, prompt, outPath, { width = 1024, height = 1024, overlay } = {}) {
+  let buffer = await withRetry(
+    `${provider.name} image`,
+    () => provider.generateImage({ prompt, width, height, stage: outputLabel(outPath) }),
+    provider.onRetry
+  );
+
+  const meta = await sharp(buffer).metadata();
+  if (meta.width !== width || meta.height !== height) {
+    buffer = await sharp(buffer).resize(width, height, { fit: "cover" }).png().toBuffer();
+  }
+
+  if (!overlay) {
+    ensureDir(path.dirname(outPath));
+    fs.writeFileSync(outPath, buffer);
+    return;
+  }
+
+  const backgroundPath = path.join(path.dirname(outPath), "backgrounds", path.basename(outPath));
+  writeFileSafe(backgroundPath, buffer);
+  await writeEditorialOverlay(backgroundPath, outPath, overlay, { width, height });
+}
+
+// Re-typesets over the stored background (no model call), e.g. after a headline edit
+async function writeEditorialOverlay(backgroundPath, outPath, { brandStyle, ...visual }, size) {
+  const { svg, png } = await renderEditorialPost(fs.readFileSync(backgroundPath), visual, brandStyle, size);
+  writeFileSafe(outPath, png);
+  writeFileSafe(outPath.replace(/\.png$/, ".svg"), svg);
+}
+
+// Product shots are edits of the uploaded photos so the real product stays recognisable;
+// without uploads they fall back to plain generation from the brief
+async function generateProductImage(provider, prompt, referencePaths, outPath) {
+  const buffer = await withRetry(
+    `${provider.name} product image`,
+    () =>
+      provider.generateImage({
+        prompt,
+        width: 1024,
+        height: 1024,
+        references: referencePaths,
+        stage: outputLabel(outPath)
+      }),
+    provider.onRetry
+  );
+
+  ensureDir(path.dirname(outPath));
+  fs.writeFileSync(outPath, buffer);
+}
+
+// ---------------------- Visual QA ----------------------
+// Offline checks of each primary Editorial_Posts/<id>.png: OCR (tesseract.js, bundled eng data) against
+// the brief's headline/subtext, WCAG contrast of the typeset text over its background, and the image's
+// dominant colours against the brand palette. Images scoring under VISUAL_QA_MIN_SCORE get new
+// backgrounds (at most VISUAL_QA_MAX_REGENERATIONS), and the best-scoring attempt is kept.
+const VISUAL_QA = process.env.VISUAL_QA !== "false";
+const VISUAL_QA_MIN_SCORE = Number(process.env.VISUAL_QA_MIN_SCORE ?? 70);
+const VISUAL_QA_MAX_REGENERATIONS = Number(process.env.VISUAL_QA_MAX_REGENERATIONS ?? 2);
+// CIE76 distance under which a dominant colour counts as on-palette
+const PALETTE_DELTA_E = 25;
+// Written into visual_qa.json: the other renders reuse these backgrounds with different text or sizes
+const VISUAL_QA_SCOPE =
+  "Editorial_Posts/<id>.png only; locale renders (Editorial_Posts/<locale>/), other platform sizes " +
+  "(Platforms/<platform>/), carousel slides and story frames are not checked";
+// Idle seconds after which the OCR worker shared by post regenerations is terminated
+const VISUAL_QA_OCR_IDLE_S = Number(process.env.VISUAL_QA_OCR_IDLE_S ?? 60);
+// Score weights: text legibility matters most, palette drift least
+const QA_WEIGHTS = { text: 0.5, contrast: 0.3, palette: 0.2 };
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function ocrTokens(text) {
+  return String(text || "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Characters OCR commonly swaps are folded together before comparing
+function foldOcrWord(word) {
+  return word
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/0/g, "o")
+    .replace(/[1i|]/g, "l")
+    .replace(/5/g, "s");
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function wordMatches(word, other) {
+  return editDistance(word, other) <= Math.floor(word.length / 4);
+}
+
+// Share of the expected words OCR found, plus OCR words that belong to neither line (text baked
+// into the background by the image model)
+function checkOcrText(ocrText, { headline, subtext }) {
+  const found = ocrTokens(ocrText).map((raw) => ({ raw, word: foldOcrWord(raw) }));
+  const words = (text) => ocrTokens(text).map(foldOcrWord);
+  const recall = (text) => {
+    const expected = words(text);
+    return expected.length
+      ? expected.filter((w) => found.some((f) => wordMatches(w, f.word))).length / expected.length
+      : 1;
+  };
+  const expected = words(`${headline || ""} ${subtext || ""}`);
+  const unexpected = found
+    .filter((f) => f.word.length >= 3 && /\p{L}/u.test(f.word) && !expected.some((w) => wordMatches(w, f.word)))
+    .map((f) => f.raw);
+  const headlineRecall = recall(headline);
+  const subtextRecall = recall(subtext);
+  const score = Math.max(
+    0,
+    (subtext ? 0.7 * headlineRecall + 0.3 * subtextRecall : headlineRecall) - Math.min(0.3, 0.1 * unexpected.length)
+  );
+  return {
+    score: round2(score),
+    headline_recall: round2(headlineRecall),
+    subtext_recall: round2(subtextRecall),
+    unexpected_words: unexpected,
+    ocr_text: String(ocrText || "").trim()
+  };
+}
+
+// WCAG 2.x: 3:1 for large text (24px+, or 18.66px+ bold), 4.5:1 otherwise. The ratio reported is the
+// 10th percentile over the background pixels behind each line, so busy patches count.
+function checkContrast(raw, { blocks }) {
+  const { data, info } = raw;
+  const lum = Array.from({ length: 256 }, (_, c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+  const results = blocks
+    .filter((block) => block.lines.length)
+    .map((block) => {
+      const text = hexToRgb(block.fill);
+      const opacity = block.opacity ?? 1;
+      const ratios = [];
+      for (const box of textLineBoxes(block)) {
+        const x0 = Math.max(0, box.left);
+        const y0 = Math.max(0, box.top);
+        const x1 = Math.min(info.width, box.left + box.width);
+        const y1 = Math.min(info.height, box.top + box.height);
+        for (let y = y0; y < y1; y += 2) {
+          for (let x = x0; x < x1; x += 2) {
+            const i = (y * info.width + x) * info.channels;
+            const bg = [data[i], data[i + 1], data[i + 2]];
+            const fg = bg.map((c, k) => Math.round(text[k] * opacity + c * (1 - opacity)));
+            const [hi, lo] = [
+              0.2126 * lum[fg[0]] + 0.7152 * lum[fg[1]] + 0.0722 * lum[fg[2]],
+              0.2126 * lum[bg[0]] + 0.7152 * lum[bg[1]] + 0.0722 * lum[bg[2]]
+            ].sort((a, b) => b - a);
+            ratios.push((hi + 0.05) / (lo + 0.05));
+          }
+        }
+      }
+      ratios.sort((a, b) => a - b);
+      const ratio = ratios.length ? ratios[Math.floor(ratios.length * 0.1)] : 21;
+      const large = block.size >= 24 || (block.weight >= 700 && block.size >= 18.66);
+      const required = large ? 3 : 4.5;
+      return { block: block.id, text_color: block.fill, size: block.size, ratio: round2(ratio), required, passed: ratio >= required };
+    });
+  return {
+    score: round2(Math.min(1, ...results.map((r) => r.ratio / r.required))),
+    passed: results.every((r) => r.passed),
+    blocks: results
+  };
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+}
+
+function rgbToLab(rgb) {
+  const [r, g, b] = rgb.map((c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+  const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const x = f((0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047);
+  const y = f(0.2126 * r + 0.7152 * g + 0.0722 * b);
+  const z = f((0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883);
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
+}
+
+function deltaE(rgbA, rgbB) {
+  const [a, b] = [rgbToLab(rgbA), rgbToLab(rgbB)];
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Top colours of a 64x64 thumbnail, bucketed at 3 bits per channel; the text colours
+// (#111111 / #FFFFFF, as in pickTextColor) always count as on-palette
+async function checkPalette(png, palette = []) {
+  const { data } = await sharp(png).resize(64, 64, { fit: "fill" }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 3) {
+    const key = ((data[i] >> 5) << 6) | ((data[i + 1] >> 5) << 3) | (data[i + 2] >> 5);
+    const bucket = buckets.get(key) || { n: 0, sum: [0, 0, 0] };
+    bucket.n++;
+    for (let k = 0; k < 3; k++) bucket.sum[k] += data[i + k];
+    buckets.set(key, bucket);
+  }
+  const pixels = data.length / 3;
+  const allowed = [...palette, "#111111", "#FFFFFF"];
+  const dominant = [...buckets.values()]
+    .sort((a, b) => b.n - a.n)
+    .slice(0, 5)
+    .filter((b) => b.n / pixels >= 0.03)
+    .map((b) => {
+      const rgb = b.sum.map((s) => s / b.n);
+      const nearest = allowed
+        .map((hex) => ({ hex, delta_e: deltaE(rgb, hexToRgb(hex)) }))
+        .sort((x, y) => x.delta_e - y.delta_e)[0];
+      return {
+        color: rgbToHex(rgb),
+        share: round2(b.n / pixels),
+        nearest_palette_color: nearest.hex,
+        delta_e: Math.round(nearest.delta_e),
+        on_palette: nearest.delta_e <= PALETTE_DELTA_E
+      };
+    });
+  const share = dominant.reduce((n, d) => n + d.share, 0);
+  const onPalette = dominant.filter((d) => d.on_palette).reduce((n, d) => n + d.share, 0);
+  return { score: round2(share ? onPalette / share : 1), dominant_colors: dominant };
+}
+
+async function scoreEditorialImage(ocr, imagePath, visual, brandStyle, spec) {
+  const backgroundPath = path.join(path.dirname(imagePath), "backgrounds", path.basename(imagePath));
+  const background = fs.readFileSync(backgroundPath);
+  const size = { width: spec.width, height: spec.height };
+  const layout = await layoutEditorialText(background, visual, brandStyle, size);
+  const raw = await sharp(background).resize(size.width, size.height, { fit: "cover" }).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const png = fs.readFileSync(imagePath);
+
+  const { data } = await ocr.recognize(png);
+  const text = checkOcrText(data.text, visual);
+  const contrast = checkContrast(raw, layout);
+  const palette = await checkPalette(png, brandStyle?.style?.palette);
+  const score = Math.round(
+    100 * (QA_WEIGHTS.text * text.score + QA_WEIGHTS.contrast * contrast.score + QA_WEIGHTS.palette * palette.score)
+  );
+
+  const issues = [];
+  if (text.headline_recall < 1) issues.push(`OCR found ${Math.round(text.headline_recall * 100)}% of the headline`);
+  if (text.unexpected_words.length) issues.push(`unexpected text in the image: ${text.unexpected_words.join(" ")}`);
+  for (const b of contrast.blocks.filter((b) => !b.passed)) {
+    issues.push(`${b.block} contrast ${b.ratio}:1 is under ${b.required}:1`);
+  }
+  if (palette.score < 0.5) issues.push("dominant colours are off the brand palette");
+  return { score, passed: score >= VISUAL_QA_MIN_SCORE, issues, text, contrast, palette };
+}
+
+// Regeneration prompt: the brief plus what the last attempt got wrong
+function visualQaRetryPrompt(prompt, qa, brandStyle) {
+  const fixes = [];
+  if (qa.text.unexpected_words.length) fixes.push("Do not paint any text, letters or numbers into the background.");
+  if (!qa.contrast.passed || qa.text.headline_recall < 1) {
+    fixes.push("Keep the areas behind the headline and subtext calm, flat and low-detail so overlaid text reads clearly.");
+  }
+  if (qa.palette.score < 0.5 && brandStyle?.style?.palette?.length) {
+    fixes.push(`Use only the brand palette (${brandStyle.style.palette.join(", ")}) for large areas of colour.`);
+  }
+  return fixes.length ? `${prompt}\n\nQA fixes for this attempt:\n${fixes.join("\n")}` : prompt;
+}
+
+async function createOcrWorker() {
+  return createWorker("eng", 1, { langPath: engTrainedData.langPath, gzip: engTrainedData.gzip, cacheMethod: "none" });
+}
+
+// One OCR worker for post regenerations, created on first use and reused until it has been idle for
+// VISUAL_QA_OCR_IDLE_S; calls are serialized so requests on different jobs never share a recognize
+let sharedOcr = null;
+let sharedOcrQueue = Promise.resolve();
+let sharedOcrIdleTimer = null;
+
+function withSharedOcrWorker(fn) {
+  const run = sharedOcrQueue.then(async () => {
+    clearTimeout(sharedOcrIdleTimer);
+    sharedOcr ||= createOcrWorker().catch((err) => {
+      sharedOcr = null;
+      throw err;
+    });
+    try {
+      return await fn(await sharedOcr);
+    } finally {
+      sharedOcrIdleTimer = setTimeout(closeSharedOcrWorker, VISUAL_QA_OCR_IDLE_S * 1000);
+      sharedOcrIdleTimer.unref();
+    }
+  });
+  sharedOcrQueue = run.catch(() => {});
+  return run;
+}
+
+async function closeSharedOcrWorker() {
+  const worker = sharedOcr;
+  sharedOcr = null;
+  if (worker) await (await worker.catch(() => null))?.terminate();
+}
+
+/**
+ * QA for one editorial image, regenerating below-threshold images up to maxRegenerations times.
+ * Every attempt's score is recorded; the best render (png, svg, background) ends up on disk.
+ */
+async function qaEditorialImage(ocr, provider, imagePath, visual, brandStyle, spec, maxRegenerations = 0) {
+  const backgroundPath = path.join(path.dirname(imagePath), "backgrounds", path.basename(imagePath));
+  const svgPath = imagePath.replace(/\.png$/, ".svg");
+  const snapshot = () => [imagePath, svgPath, backgroundPath].map((p) => (fs.existsSync(p) ? fs.readFileSync(p) : null));
+
+  let qa = await scoreEditorialImage(ocr, imagePath, visual, brandStyle, spec);
+  let best = { qa, files: snapshot() };
+  const attempts = [{ score: qa.score, issues: qa.issues }];
+  while (!qa.passed && attempts.length <= maxRegenerations) {
+    await generateEditorialImage(provider, visualQaRetryPrompt(visual.image_prompt, qa, brandStyle), imagePath, {
+      ...spec,
+      overlay: { ...visual, brandStyle }
+    });
+    qa = await scoreEditorialImage(ocr, imagePath, visual, brandStyle, spec);
+    attempts.push({ score: qa.score, issues: qa.issues });
+    if (qa.score > best.qa.score) best = { qa, files: snapshot() };
+  }
+  if (best.qa !== qa) {
+    [imagePath, svgPath, backgroundPath].forEach((p, i) => best.files[i] && fs.writeFileSync(p, best.files[i]));
+  }
+  return { id: visual.id, ...best.qa, regenerations: attempts.length - 1, attempts };
+}
+
+function summarizeVisualQa(images) {
+  return {
+    images: images.length,
+    passed: images.filter((i) => i.passed).length,
+    failed: images.filter((i) => !i.passed).length,
+    regenerated: images.filter((i) => i.regenerations).length,
+    average_score: images.length ? Math.round(images.reduce((n, i) => n + i.score, 0) / images.length) : null
+  };
+}
+
+// Re-scores one post after a regeneration or headline edit (no automatic retries); jobs without
+// visual_qa.json are left alone
+async function refreshVisualQa(outDir, visual, brandStyle, spec) {
+  const qaPath = path.join(outDir, "visual_qa.json");
+  const report = readJsonFile(qaPath);
+  if (!report) return null;
+
+  const imagePath = path.join(outDir, "Editorial_Posts", `${visual.id}.png`);
+  const qa = await withSharedOcrWorker((ocr) => qaEditorialImage(ocr, null, imagePath, visual, brandStyle, spec));
+  const entry = { ...qa, path: path.relative(outDir, imagePath).split(path.sep).join("/") };
+  replaceById(report.images, entry);
+  report.scope ||= VISUAL_QA_SCOPE;
+  report.summary = summarizeVisualQa(report.images);
+  writeJsonFile(qaPath, report);
+  return entry;
+}
+
+// ---------------------- Prompts (Text) ----------------------
+const POST_TYPE_LABELS = {
+  educational: "Educational",
+  authority: "Authority/Positioning",
+  relatable: "Relatable/Trust-building",
+  promotional: "Soft Promotional"
+};
+
+function postTypeMixLines(brandContext) {
+  const { postTypes } = resolveCampaignMix(brandContext);
+  return POST_TYPES.filter((t) => postTypes[t])
+    .map((t) => `  - ${postTypes[t]} ${POST_TYPE_LABELS[t]} (post_type "${t}")`)
+    .join("\n");
+}
+
+function promptPlan(brandContext, history = [], performance = null, templates = DEFAULT_PROMPT_TEMPLATES) {
+  return renderPromptTemplate(templates.plan.body, {
+    platforms: resolvePlatforms(brandContext).map((p) => PLATFORM_SPECS[p].label).join(" + "),
+    posts_count: brandContext.campaign.posts_count,
+    month: brandContext.campaign.month,
+    mix: postTypeMixLines(brandContext),
+    language_rule: languageRule(brandContext),
+    history: history.length ? topicHistoryLines(history) : "",
+    performance: performance ? performanceLines(performance) : "",
+    brand_context: JSON.stringify(brandContext)
+  }).trim();
+}
+
+function promptCaptions(
+  brandContext,
+  planJson,
+  platform = resolvePlatforms(brandContext)[0],
+  templates = DEFAULT_PROMPT_TEMPLATES,
+  locale = resolveLocales(brandContext)[0]
+) {
+  const spec = PLATFORM_SPECS[platform];
+  return renderPromptTemplate(templates.captions.body, {
+    platform: spec.label,
+    banned_words: wordsToAvoid(brandContext, locale).join(", "),
+    language_rule: languageRule(brandContext, locale),
+    min_words: spec.words[0],
+    max_words: spec.words[1],
+    platform_style: spec.style,
+    max_chars: spec.max_chars,
+    brand_context: JSON.stringify(brandContext),
+    plan: JSON.stringify(planJson)
+  }).trim();
+}
+
+function promptEditorialVisuals(brandContext, planJson, captionsJson, templates = DEFAULT_PROMPT_TEMPLATES) {
+  return renderPromptTemplate(templates.editorial_visuals.body, {
+    language_rule: languageRule(brandContext),
+    brand_context: JSON.stringify(brandContext),
+    plan: JSON.stringify(planJson),
+    captions: JSON.stringify(captionsJson)
+  }).trim();
+}
+
+// Secondary locale: the primary captions + editorial headlines, adapted rather than translated literally
+function promptLocalize(brandContext, captionsJson, visualsJson, locale, platform = resolvePlatforms(brandContext)[0]) {
+  const spec = PLATFORM_SPECS[platform];
+  const language = `${languageName(locale)} (${locale})`;
+  const banned = wordsToAvoid(brandContext, locale);
+  const captions = (captionsJson.captions || []).map(({ id, caption, hook, cta, alt_text }) => ({
+    id,
+    caption,
+    hook,
+    cta,
+    alt_text
+  }));
+  const headlines = (visualsJson.editorial_visuals || []).map(({ id, headline, subtext }) => ({ id, headline, subtext }));
+  return `
+Localize the ${spec.label} captions and editorial headlines below into ${language}.
+
+Rules:
+- Adapt, don't translate word for word: idioms, examples and units should read as native ${language}
+- Same ids, meaning, structure and CTA intent; keep brand and product names as they are
+- Match brand voice${banned.length ? `; never use: ${banned.join(", ")}` : ""}
+- No emojis, no hashtags
+- ${spec.words[0]}–${spec.words[1]} words per caption${spec.max_chars ? `, max ${spec.max_chars} characters` : ""}
+- headline max 7 words, subtext max 10 words or empty
+Return JSON only:
+{
+  "captions": [
+    { "id": "P01", "caption": "string", "hook": "string", "cta": "string", "alt_text": "1 sentence" }
+  ],
+  "editorial_visuals": [
+    { "id": "P01", "headline": "string", "subtext": "string" }
+  ]
+}
+
+Brand context JSON:
+${JSON.stringify(brandContext)}
+
+Captions JSON:
+${JSON.stringify({ captions })}
+
+Editorial visuals JSON:
+${JSON.stringify({ editorial_visuals: headlines })}
+`.trim();
+}
+
+// Only the non-single posts, with their caption and editorial brief for continuity
+function promptFormats(brandContext, planJson, captionsJson, visualsJson) {
+  const posts = formatPosts(planJson);
+  const ids = new Set(posts.map((p) => p.id));
+  return `
+Expand each post below into its recommended_format.
+
+Formats:
+- carousel: ${CAROUSEL_SLIDES[0]}–${CAROUSEL_SLIDES[1]} slides. Slide 1 is the cover (the hook), each middle slide carries
+  one point, the last slide is the CTA. headline max 7 words, subtext max 14 words or empty.
+- reel_script: 15–60 second vertical video. ${REEL_SHOTS[0]}–${REEL_SHOTS[1]} shots, each with duration_s, what is on camera
+  (visual) and on_screen_text (max 8 words); a hook for the first 3 seconds, a voiceover for the whole reel,
+  an optional audio_hint.
+- story_set: ${STORY_FRAMES[0]}–${STORY_FRAMES[1]} vertical 9:16 frames. headline max 7 words, subtext max 12 words or empty.
+  Frames may suggest one interactive sticker: ${STICKER_TYPES.join("|")}, with a prompt (and options for poll/quiz).
+
+Rules:
+- Match brand voice and banned words
+- No emojis, no hashtags, no exaggerated claims
+- Stay consistent with each post's caption and headline
+
+Return JSON only:
+{
+  "formats": [
+    { "id": "P02", "format": "carousel", "slides": [{ "headline": "string", "subtext": "string" }] },
+    {
+      "id": "P03",
+      "format": "reel_script",
+      "hook": "string",
+      "shots": [{ "duration_s": 3, "visual": "string", "on_screen_text": "string" }],
+      "voiceover": "string",
+      "audio_hint": "string"
+    },
+    {
+      "id": "P04",
+      "format": "story_set",
+      "frames": [
+        { "headline": "string", "subtext": "string", "sticker": { "type": "poll", "prompt": "string", "options": ["a", "b"] } }
+      ]
+    }
+  ]
+}
+
+Brand context JSON:
+${JSON.stringify(brandContext)}
+
+Content plan JSON:
+${JSON.stringify({ plan: { ...planJson.plan, posts } })}
+
+Captions JSON:
+${JSON.stringify({ captions: (captionsJson.captions || []).filter((c) => ids.has(c.id)) })}
+
+Editorial visuals JSON:
+${JSON.stringify({ editorial_visuals: (visualsJson.editorial_visuals || []).filter((v) => ids.has(v.id)) })}
+`.trim();
+}
+
+// ---------------------- Brand ingestion ----------------------
+// Reads brand.website (home page + a few about/product pages) and/or an uploaded brand guide
+// (HTML, PDF, text), then asks the model for offer, audience, voice and vocabulary. Colours and
+// key vocabulary are counted here; the model only summarises. Private/loopback hosts are refused
+// unless INGEST_ALLOW_PRIVATE_HOSTS=true (local fixture servers in tests).
+const INGEST_MAX_PAGES = Number(process.env.INGEST_MAX_PAGES || 4);
+const INGEST_TIMEOUT_MS = Number(process.env.INGEST_TIMEOUT_MS || 10000);
+const INGEST_MAX_BYTES = 2 * 1024 * 1024;
+const INGEST_TEXT_CHARS = 6000;
+const INGEST_ALLOW_PRIVATE_HOSTS = process.env.INGEST_ALLOW_PRIVATE_HOSTS === "true";
+// Sub-pages worth reading for positioning and audience
+const INGEST_PAGE_HINTS = /about|story|mission|values|who-we-are|our-|product|shop|services|solutions|pricing/i;
+
+const STOPWORDS = new Set(
+  ("a about above after again all also an and any are around as at be because been before being best but by can " +
+    "could did do does doing down each every few for from get gets got had has have having here how into its itself " +
+    "just like made make many more most much must need new next not now off once only other our ours out over own " +
+    "same should since some such than that the their theirs them then there these they this those through too under " +
+    "until very was way well were what when where which while who why will with without would you your yours").split(" ")
+);
+
+// Loopback, private, link-local, shared (CGNAT), IETF, benchmarking, NAT64, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  // Unspecified, loopback and deprecated IPv4-compatible addresses; then IPv4-translated (SIIT)
+  ["::", 96],
+  ["::ffff:0:0:0", 96],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as dns.lookup returns it) as dotted IPv4
+function unmapIPv4(address) {
+  const hex = /^\[::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})\]$/.exec(new URL(`http://[${address}]/`).hostname);
+  if (!hex) return address;
+  const [high, low] = hex.slice(1).map((h) => parseInt(h, 16));
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+}
+
+function isPrivateAddress(address) {
+  const version = isIP(address);
+  if (version === 4) return PRIVATE_ADDRESSES.check(address, "ipv4");
+  if (version !== 6) return true;
+  const unmapped = unmapIPv4(address);
+  return unmapped === address ? PRIVATE_ADDRESSES.check(address, "ipv6") : isPrivateAddress(unmapped);
+}
+
+async function assertFetchableUrl(url, allowPrivate = INGEST_ALLOW_PRIVATE_HOSTS) {
+  if (!["http:", "https:"].includes(url.protocol)) throw new Error(`${url.href}: only http(s) URLs are allowed`);
+  if (allowPrivate) return;
+  const addresses = await dnsLookup(url.hostname, { all: true });
+  if (addresses.some((a) => isPrivateAddress(a.address))) {
+    throw new Error(`${url.hostname} resolves to a private address`);
+  }
+}
+
+/**
+ * Dispatcher for outbound fetches (ingestion, webhooks). The private-address check runs inside the
+ * connection's own DNS lookup, so the address that was checked is the one connected to: a host can't pass
+ * assertFetchableUrl and then rebind to 127.0.0.1 for the request. IP literals skip lookup and are checked
+ * by assertFetchableUrl.
+ */
+function pinnedAgent(allowPrivate) {
+  return new Agent({
+    connect: {
+      lookup(hostname, options, callback) {
+        dnsLookup(hostname, { all: true }).then((addresses) => {
+          const blocked = !allowPrivate && addresses.find((a) => isPrivateAddress(a.address));
+          if (blocked) return callback(new Error(`${hostname} resolves to a private address`));
+          if (options?.all) return callback(null, addresses);
+          callback(null, addresses[0].address, addresses[0].family);
+        }, callback);
+      }
+    }
+  });
+}
+
+const ingestAgent = pinnedAgent(INGEST_ALLOW_PRIVATE_HOSTS);
+
+// Reads at most maxBytes of a response body, cancelling the rest of the download
+async function readBodyCapped(res, maxBytes) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Follows up to 5 redirects, re-checking each hop; bodies are capped at INGEST_MAX_BYTES
+async function fetchForIngest(href) {
+  let url = new URL(href);
+  for (let hop = 0; hop <= 5; hop++) {
+    await assertFetchableUrl(url);
+    const res = await undiciFetch(url, {
+      dispatcher: ingestAgent,
+      redirect: "manual",
+      signal: AbortSignal.timeout(INGEST_TIMEOUT_MS),
+      headers: {
+        "User-Agent": "StayContented/1.0 (brand ingestion)",
+        Accept: "text/html,application/xhtml+xml,application/pdf;q=0.9,text/plain;q=0.8"
+      }
+    });
+    if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+      await res.body?.cancel();
+      url = new URL(res.headers.get("location"), url);
+      continue;
+    }
+    if (!res.ok) {
+      await res.body?.cancel();
+      throw new Error(`${url.href} returned ${res.status}`);
+    }
+
+    const body = res.body ? await readBodyCapped(res, INGEST_MAX_BYTES) : Buffer.alloc(0);
+    return { url: url.href, contentType: res.headers.get("content-type") || "", body };
+  }
+  throw new Error(`${href}: too many redirects`);
+}
+
+const HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+    return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+  });
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+function metaContent(html, key) {
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const name = /(?:name|property)\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1];
+    if (name?.toLowerCase() === key) return decodeEntities(/content\s*=\s*["']([^"']*)["']/i.exec(tag)?.[1] || "");
+  }
+  return "";
+}
+
+// #RGB/#RRGGBB/rgb() occurrences -> { "#RRGGBB": count }
+function countColors(css, counts = {}) {
+  for (const [, hex] of css.matchAll(/#([0-9a-f]{6}|[0-9a-f]{3})\b/gi)) {
+    const full = (hex.length === 3 ? [...hex].map((c) => c + c).join("") : hex).toUpperCase();
+    counts[`#${full}`] = (counts[`#${full}`] || 0) + 1;
+  }
+  for (const [, r, g, b] of css.matchAll(/rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})/gi)) {
+    const hex = `#${[r, g, b].map((v) => Math.min(255, Number(v)).toString(16).padStart(2, "0")).join("")}`.toUpperCase();
+    counts[hex] = (counts[hex] || 0) + 1;
+  }
+  return counts;
+}
+
+function parseHtmlSource(html, url) {
+  const body = html.replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1>/gi, " ").replace(/<!--[\s\S]*?-->/g, " ");
+  const text = decodeEntities(
+    body.replace(/<\/(p|div|li|h[1-6]|section|article|tr|blockquote)>|<br\s*\/?>/gi, "\n").replace(/<[^>]+>/g, " ")
+  )
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => line.length > 2)
+    .join("\n");
+
+  const css = [
+    ...[...html.matchAll(/<style[^>]*>([\s\S]*?)<\/style>/gi)].map((m) => m[1]),
+    ...[...html.matchAll(/\sstyle\s*=\s*["']([^"']*)["']/gi)].map((m) => m[1])
+  ].join("\n");
+  const colors = countColors(css);
+  // The declared theme colour is the strongest single signal
+  const themeColor = metaContent(html, "theme-color");
+  if (themeColor) countColors(`${themeColor} `.repeat(5), colors);
+
+  const resolve = (href) => {
+    try {
+      return new URL(decodeEntities(href), url).href.split("#")[0];
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    kind: "html",
+    url,
+    title: stripTags(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || ""),
+    description: metaContent(html, "description") || metaContent(html, "og:description"),
+    headings: [...body.matchAll(/<h[12][^>]*>([\s\S]*?)<\/h[12]>/gi)].map((m) => stripTags(m[1])).filter(Boolean).slice(0, 12),
+    text: text.slice(0, INGEST_TEXT_CHARS),
+    colors,
+    links: [...html.matchAll(/<a\s[^>]*href\s*=\s*["']([^"']+)["']/gi)].map((m) => resolve(m[1])).filter(Boolean),
+    stylesheets: [...html.matchAll(/<link\s[^>]*>/gi)]
+      .map(([tag]) => tag)
+      .filter((tag) => /rel\s*=\s*["']?stylesheet/i.test(tag))
+      .map((tag) => resolve(/href\s*=\s*["']([^"']+)["']/i.exec(tag)?.[1] || ""))
+      .filter(Boolean)
+  };
+}
+
+async function parsePdfSource(buffer, name) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText();
+    const clean = text.replace(/-- \d+ of \d+ --/g, "").replace(/[ \t]+/g, " ").trim();
+    return { kind: "pdf", url: name, title: clean.split("\n")[0] || name, description: "", headings: [], text: clean.slice(0, INGEST_TEXT_CHARS), colors: countColors(clean) };
+  } finally {
+    await parser.destroy();
+  }
+}
+
+function parseIngestBody({ body, contentType, url }) {
+  if (/pdf/i.test(contentType) || body.subarray(0, 5).toString() === "%PDF-") return parsePdfSource(body, url);
+  const text = body.toString("utf8");
+  if (/html/i.test(contentType) || /<html|<body|<p[\s>]/i.test(text)) return parseHtmlSource(text, url);
+  return { kind: "text", url, title: text.split("\n")[0].slice(0, 120), description: "", headings: [], text: text.slice(0, INGEST_TEXT_CHARS), colors: countColors(text) };
+}
+
+// Home page, then up to INGEST_MAX_PAGES - 1 same-site pages that look like about/product pages
+async function crawlSite(website, warnings) {
+  const home = await parseIngestBody(await fetchForIngest(website));
+  const origin = new URL(home.url).origin;
+  const sameSite = (href) => new URL(href).origin === origin;
+
+  const subpages = [...new Set(home.links || [])]
+    .filter((href) => sameSite(href) && href !== home.url && INGEST_PAGE_HINTS.test(new URL(href).pathname))
+    .slice(0, INGEST_MAX_PAGES - 1);
+
+  const sources = [home];
+  for (const href of [...subpages, ...(home.stylesheets || []).filter(sameSite).slice(0, 2)]) {
+    try {
+      const fetched = await fetchForIngest(href);
+      if (/css/i.test(fetched.contentType) || href.endsWith(".css")) {
+        countColors(fetched.body.toString("utf8"), home.colors);
+      } else {
+        sources.push(await parseIngestBody(fetched));
+      }
+    } catch (err) {
+      warnings.push(`Skipped ${href}: ${err.message}`);
+    }
+  }
+  return sources;
+}
+
+function mergeColorCounts(sources) {
+  const counts = {};
+  for (const source of sources) {
+    for (const [hex, n] of Object.entries(source.colors || {})) counts[hex] = (counts[hex] || 0) + n;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([hex]) => hex);
+}
+
+function keyVocabulary(text, brandName = "") {
+  const brandWords = new Set(brandName.toLowerCase().split(/\W+/));
+  const counts = {};
+  for (const word of text.toLowerCase().match(/[a-z][a-z'-]{3,}/g) || []) {
+    if (STOPWORDS.has(word) || brandWords.has(word)) continue;
+    counts[word] = (counts[word] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .filter(([, n]) => n >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([word]) => word);
+}
+
+function normalizeWebsite(website) {
+  const trimmed = String(website || "").trim();
+  if (!trimmed) return null;
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+function promptBrandContext(brandContext, sources, vocabulary) {
+  return `
+Extract the brand context for ${brandContext.brand?.name || "this brand"} from its website pages and brand guide below.
+
+Rules:
+- Use only what the sources say; leave a field empty rather than guess
+- offer: 1–2 sentences on what they sell and the main benefit
+- target_customer: 1 sentence describing who they sell to
+- tone_words: 3–5 adjectives describing the voice
+- voice_samples: up to 3 short sentences quoted verbatim that show the voice
+- words_to_use: 5–12 words or short phrases the brand uses repeatedly (prefer the key vocabulary)
+Return JSON only:
+{
+  "brand_context": {
+    "offer": "string",
+    "target_customer": "string",
+    "tone_words": ["w1","w2"],
+    "voice_samples": ["sentence"],
+    "words_to_use": ["w1","w2"]
+  }
+}
+
+Brand context JSON:
+${JSON.stringify(brandContext)}
+
+Key vocabulary JSON:
+${JSON.stringify(vocabulary)}
+
+Sources JSON:
+${JSON.stringify(sources.map(({ colors, links, stylesheets, ...s }) => s))}
+`.trim();
+}
+
+function validateBrandContextJson(json) {
+  const ctx = json?.brand_context;
+  const errors = checkFields(ctx, STAGE_SCHEMAS.brand_context, "brand_context");
+  for (const key of ["tone_words", "voice_samples", "words_to_use"]) {
+    if (Array.isArray(ctx?.[key]) && !ctx[key].every((w) => typeof w === "string")) {
+      errors.push(`brand_context.${key} must only contain strings`);
+    }
+  }
+  if (ctx?.words_to_use?.length > 15) errors.push("brand_context.words_to_use must have at most 15 entries");
+  return errors;
+}
+
+// offline: leave the website alone (dry runs), so only the uploaded guide is read
+async function ingestBrandContext(provider, input, { guide, offline = false } = {}) {
+  const warnings = [];
+  const sources = [];
+  const website = normalizeWebsite(input.brand?.website);
+  if (website && offline) warnings.push(`${website} was not fetched (dry run)`);
+  else if (website) sources.push(...(await crawlSite(website, warnings)));
+  if (guide) {
+    sources.push(await parseIngestBody({ body: fs.readFileSync(guide.file), contentType: guide.mimetype, url: guide.name }));
+  }
+
+  const vocabulary = keyVocabulary(
+    sources.map((s) => [s.title, s.description, ...s.headings, s.text].join("\n")).join("\n"),
+    input.brand?.name
+  );
+  const { data, report } = await callOpenAIJsonValidated(
+    provider,
+    "brand_context",
+    promptBrandContext(input, sources, vocabulary),
+    validateBrandContextJson
+  );
+
+  return {
+    sources: sources.map((s) => ({ kind: s.kind, url: s.url, title: s.title })),
+    colors: mergeColorCounts(sources).slice(0, 8),
+    vocabulary,
+    extracted: data.brand_context,
+    warnings,
+    report
+  };
+}
+
+// Fills only what the client left empty; the full extraction rides along as brand.ingested
+function applyIngestedContext(input, ingested) {
+  if (!ingested?.extracted) return input;
+  const { extracted } = ingested;
+  const voice = input.brand?.brand_voice || {};
+
+  return {
+    ...input,
+    brand: {
+      ...input.brand,
+      offer_summary: input.brand?.offer_summary || extracted.offer || "",
+      target_customer: input.brand?.target_customer || extracted.target_customer || "",
+      brand_voice: {
+        ...voice,
+        words_to_use: voice.words_to_use?.length ? voice.words_to_use : extracted.words_to_use || []
+      },
+      ingested: {
+        offer: extracted.offer || "",
+        tone_words: extracted.tone_words || [],
+        voice_samples: extracted.voice_samples || [],
+        key_vocabulary: ingested.vocabulary,
+        sources: ingested.sources.map((s) => s.url)
+      }
+    }
+  };
+}
+
+// Context the job actually ran with (input + ingestion checkpoint), for regeneration
+function jobBrandContext(job) {
+  return applyIngestedContext(job.input, loadCheckpoint(job, "ingest"));
+}
+
+// Draft style profile: site colours (darkest, lightest, then up to 3 accents) + voice as mood
+function draftBrandProfile(input, ingested) {
+  const fallback = makeDefaultBrandStyle(input);
+  const luminance = (hex) => relativeLuminance(hexToRgb(hex));
+  const chroma = (hex) => {
+    const rgb = hexToRgb(hex);
+    return Math.max(...rgb) - Math.min(...rgb);
+  };
+  const colors = ingested.colors || [];
+  const neutrals = colors.filter((c) => chroma(c) < 40);
+  const dark = neutrals.filter((c) => luminance(c) < 0.1).sort((a, b) => luminance(a) - luminance(b))[0];
+  const light = neutrals.filter((c) => luminance(c) > 0.8).sort((a, b) => luminance(b) - luminance(a))[0];
+  const accents = colors.filter((c) => chroma(c) >= 40).slice(0, 3);
+
+  return {
+    brand_id: fallback.brand_id,
+    style: {
+      ...fallback.style,
+      palette: [...new Set([dark || fallback.style.palette[0], light || fallback.style.palette[1], ...accents])],
+      mood: ingested.extracted?.tone_words?.length ? ingested.extracted.tone_words.join(", ") : fallback.style.mood
+    }
+  };
+}
+
+// ---------------------- Campaign memory ----------------------
+// What the same brand already ran in earlier months, so plans don't recycle topics and hooks
+const TOPIC_MEMORY_MONTHS = Number(process.env.TOPIC_MEMORY_MONTHS ?? 3);
+const TOPIC_SIMILARITY_THRESHOLD = Number(process.env.TOPIC_SIMILARITY_THRESHOLD || 0.6);
+const TOPIC_MEMORY_FIELDS = ["topic", "angle", "hook"];
+
+function shiftMonth(month, delta) {
+  const [year, m] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, m - 1 + delta, 1)).toISOString().slice(0, 7);
+}
+
+function jobBrandId(job) {
+  return job.brand_id || makeDefaultBrandStyle(job.input).brand_id;
+}
+
+/**
+ * Latest finished job per month, for this brand and workspace, in the TOPIC_MEMORY_MONTHS before
+ * campaign.month. Each is summarised from its content_plan.json + captions.json; rejected posts
+ * never went out, so they are left out.
+ */
+function buildTopicHistory(job, brandContext) {
+  const month = brandContext.campaign?.month;
+  if (!TOPIC_MEMORY_MONTHS || !/^\d{4}-\d{2}$/.test(month || "")) return [];
+  const since = shiftMonth(month, -TOPIC_MEMORY_MONTHS);
+  const brandId = makeDefaultBrandStyle(brandContext).brand_id;
+
+  const latest = new Map();
+  for (const past of jobs.values()) {
+    const pastMonth = past.input?.campaign?.month;
+    if (past.id === job.id || past.status !== "done" || past.workspace_id !== job.workspace_id) continue;
+    if (!pastMonth || pastMonth >= month || pastMonth < since || jobBrandId(past) !== brandId) continue;
+    if (!latest.has(pastMonth) || (latest.get(pastMonth).finishedAt || 0) < (past.finishedAt || 0)) {
+      latest.set(pastMonth, past);
+    }
+  }
+
+  return [...latest.entries()]
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([pastMonth, past]) => {
+      const outDir = path.join(OUTPUTS_DIR, past.id);
+      const planJson = readJsonFile(path.join(outDir, "content_plan.json"), { plan: { posts: [] } });
+      const captions = readJsonFile(path.join(outDir, "captions.json"), { captions: [] }).captions || [];
+      const posts = (planJson.plan?.posts || [])
+        .filter((p) => reviewStatus(past, p.id) !== "rejected")
+        .map((p) => ({
+          id: p.id,
+          post_type: p.post_type,
+          topic: p.topic,
+          angle: p.angle,
+          hook: captions.find((c) => c.id === p.id)?.hook || p.hook_idea
+        }));
+      return { month: pastMonth, job_id: past.id, posts };
+    })
+    .filter((entry) => entry.posts.length);
+}
+
+// Numbers collapse to "#" and plurals to their stem, so "3 tips for X" matches "5 tips for X"
+function topicTokens(text) {
+  return new Set(
+    (String(text || "").toLowerCase().match(/[a-z0-9']+/g) || [])
+      .map((word) => (/^\d+$/.test(word) ? "#" : word.replace(/'s$/, "").replace(/(?<=[a-z]{3})s$/, "")))
+      .filter((word) => word === "#" || (word.length > 2 && !STOPWORDS.has(word)))
+  );
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const token of a) if (b.has(token)) shared += 1;
+  return shared / (a.size + b.size - shared);
+}
+
+// Flags each planned post whose topic, angle or hook is close to one from a past month
+function findTopicRepeats(planJson, history) {
+  const past = history.flatMap((entry) =>
+    entry.posts.map((p) => ({
+      ...p,
+      month: entry.month,
+      job_id: entry.job_id,
+      tokens: Object.fromEntries(TOPIC_MEMORY_FIELDS.map((f) => [f, topicTokens(p[f])]))
+    }))
+  );
+
+  const repeats = [];
+  for (const post of planJson.plan?.posts || []) {
+    const fields = { topic: post.topic, angle: post.angle, hook: post.hook_idea };
+    let best = null;
+    for (const field of TOPIC_MEMORY_FIELDS) {
+      const tokens = topicTokens(fields[field]);
+      for (const prior of past) {
+        const similarity = jaccard(tokens, prior.tokens[field]);
+        if (similarity >= TOPIC_SIMILARITY_THRESHOLD && similarity > (best?.similarity || 0)) {
+          best = { field, similarity, prior };
+        }
+      }
+    }
+    if (best) {
+      const { prior } = best;
+      repeats.push({
+        id: post.id,
+        field: best.field,
+        value: fields[best.field],
+        similarity: Math.round(best.similarity * 100) / 100,
+        matches: { month: prior.month, job_id: prior.job_id, id: prior.id, [best.field]: prior[best.field] }
+      });
+    }
+  }
+  return repeats;
+}
+
+function topicHistoryLines(history) {
+  return history
+    .flatMap((entry) =>
+      entry.posts.map((p) => `  - ${entry.month} [${p.post_type}] ${p.topic} / angle: ${p.angle} / hook: ${p.hook}`)
+    )
+    .join("\n");
+}
+
+// ---------------------- Performance metrics ----------------------
+// Engagement exports (CSV: post id or publish date, reach, saves, comments, shares) are matched to the
+// posts of past packs and kept per brand in workspaces/<workspaceId>/brands/performance_<slug>.json. The plan
+// prompt gets a summary of what beat the brand's average over the last PERFORMANCE_MONTHS months.
+const PERFORMANCE_MONTHS = Number(process.env.PERFORMANCE_MONTHS ?? 6);
+// Groups with fewer posts than this are reported but not used to steer plans
+const PERFORMANCE_MIN_POSTS = 2;
+const METRIC_FIELDS = ["reach", "saves", "comments", "shares"];
+// Post columns of the CSV report, ahead of the metrics
+const PERFORMANCE_CSV_FIELDS = [
+  "month",
+  "post_id",
+  "platform",
+  "publish_date",
+  "post_type",
+  "format",
+  "cta_type",
+  "topic",
+  "hook",
+  "cta"
+];
+// Header aliases seen in platform and scheduler exports (lower-cased, non-alphanumerics -> "_")
+const METRIC_COLUMNS = {
+  post_id: ["post_id", "post", "id"],
+  month: ["month"],
+  date: ["date", "publish_date", "published", "published_at", "post_date"],
+  platform: ["platform", "network", "channel"],
+  reach: ["reach", "accounts_reached"],
+  saves: ["saves", "saved"],
+  comments: ["comments"],
+  shares: ["shares", "sends"]
+};
+
+function performancePath(slug, workspaceId) {
+  return path.join(workspaceBrandsDir(workspaceId), `performance_${slug}.json`);
+}
+
+function loadPerformance(slug, workspaceId) {
+  return readJsonFile(performancePath(slug, workspaceId), { brand_id: slug, posts: [] });
+}
+
+// RFC 4180 (quoted fields may hold delimiters, "" and newlines); ";" exports are detected from the header
+function parseCsv(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (quoted) {
+      if (c === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && source[i + 1] === "\n") i++;
+      rows.push([...row, field]);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((f) => f.trim()));
+}
+
+// [{ line, values: { post_id, date, reach, ... } }], or throws when no usable columns are present
+function readMetricsCsv(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map((h) => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, ""));
+  const columns = Object.fromEntries(
+    Object.entries(METRIC_COLUMNS).map(([key, aliases]) => [key, names.findIndex((n) => aliases.includes(n))])
+  );
+  const missing = [];
+  if (columns.post_id === -1 && columns.date === -1) missing.push("post_id or date");
+  if (METRIC_FIELDS.every((f) => columns[f] === -1)) missing.push(`at least one of ${METRIC_FIELDS.join(", ")}`);
+  if (missing.length) {
+    const err = new Error(`CSV needs a column for ${missing.join(" and ")}`);
+    err.code = "invalid_csv";
+    throw err;
+  }
+
+  return rows.map((cells, i) => ({
+    line: i + 2,
+    values: Object.fromEntries(
+      Object.entries(columns)
+        .filter(([, index]) => index !== -1)
+        .map(([key, index]) => [key, (cells[index] || "").trim()])
+    )
+  }));
+}
+
+function parseMetric(value) {
+  if (value === undefined || value === "") return null;
+  const n = Number(String(value).replace(/[\s,]/g, ""));
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+// Latest finished pack per month for this brand and workspace
+function brandPacksByMonth(slug, workspaceId) {
+  const latest = new Map();
+  for (const job of jobs.values()) {
+    const month = job.input?.campaign?.month;
+    if (job.status !== "done" || job.workspace_id !== workspaceId || !month || jobBrandId(job) !== slug) continue;
+    if (!latest.has(month) || (latest.get(month).finishedAt || 0) < (job.finishedAt || 0)) latest.set(month, job);
+  }
+  return latest;
+}
+
+function packPosts(job) {
+  const outDir = path.join(OUTPUTS_DIR, job.id);
+  const posts = readJsonFile(path.join(outDir, "content_plan.json"), { plan: { posts: [] } }).plan?.posts || [];
+  const captions = readJsonFile(path.join(outDir, "captions.json"), { captions: [] }).captions || [];
+  return posts.map((p) => ({ ...p, caption: captions.find((c) => c.id === p.id) || {} }));
+}
+
+/**
+ * Matches each CSV row to a past post: by post_id within the row's month (month column, the date's
+ * month, or options.month) or options.job_id; else by publish_date, narrowed by the date's hour when
+ * two posts share a day. Only this brand's packs (by jobBrandId) match.
+ * Returns { records, unmatched: [{ line, reason }] }.
+ */
+function matchMetricRows(rows, slug, workspaceId, options = {}) {
+  const packs = brandPacksByMonth(slug, workspaceId);
+  const pinned = options.job_id ? findWorkspaceJob(options.job_id, workspaceId) : null;
+  if (options.job_id && (!pinned || jobBrandId(pinned) !== slug)) {
+    const reason = `${options.job_id} is not a ${slug} pack`;
+    return { records: [], unmatched: rows.map(({ line }) => ({ line, reason })) };
+  }
+  const postsByJob = new Map();
+  const records = [];
+  const unmatched = [];
+
+  for (const { line, values } of rows) {
+    const miss = (reason) => unmatched.push({ line, reason });
+    const dateTime = values.date ? /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}))?/.exec(values.date) : null;
+    if (values.date && !dateTime) {
+      miss(`date "${values.date}" must be YYYY-MM-DD`);
+      continue;
+    }
+    const month = values.month || dateTime?.[1].slice(0, 7) || options.month;
+    const job = pinned || packs.get(month);
+    if (!job) {
+      miss(month ? `no finished ${slug} pack for ${month}` : "no month: add a month or date column, or ?month=");
+      continue;
+    }
+    if (!postsByJob.has(job.id)) postsByJob.set(job.id, packPosts(job));
+    const posts = postsByJob.get(job.id);
+
+    let post;
+    if (values.post_id) {
+      post = posts.find((p) => p.id.toLowerCase() === values.post_id.toLowerCase());
+      if (!post) {
+        miss(`${values.post_id} is not in the ${month} plan`);
+        continue;
+      }
+    } else {
+      let sameDay = posts.filter((p) => p.publish_date === dateTime?.[1]);
+      if (sameDay.length > 1 && dateTime[2]) {
+        sameDay = sameDay.filter((p) => parseInt(p.publish_time, 10) === Number(dateTime[2]));
+      }
+      if (sameDay.length !== 1) {
+        miss(
+          sameDay.length
+            ? `${sameDay.map((p) => p.id).join(", ")} were all scheduled on ${values.date}; use post_id`
+            : `no post was scheduled on ${values.date}`
+        );
+        continue;
+      }
+      post = sameDay[0];
+    }
+
+    const metrics = Object.fromEntries(METRIC_FIELDS.map((f) => [f, parseMetric(values[f])]));
+    const bad = METRIC_FIELDS.filter((f) => Number.isNaN(metrics[f]));
+    if (bad.length) {
+      miss(`${bad.join(", ")}: expected a non-negative number`);
+      continue;
+    }
+    const platform = values.platform?.toLowerCase();
+    records.push({
+      job_id: job.id,
+      month: job.input.campaign.month,
+      post_id: post.id,
+      platform: PLATFORM_SPECS[platform] ? platform : resolvePlatforms(job.input)[0],
+      publish_date: post.publish_date || null,
+      post_type: post.post_type,
+      format: post.recommended_format || "single",
+      cta_type: post.cta_type || null,
+      topic: post.topic,
+      hook: post.caption.hook || post.hook_idea || "",
+      cta: post.caption.cta || "",
+      metrics
+    });
+  }
+  return { records, unmatched };
+}
+
+// Re-imports replace a post's earlier figures (same pack, post and platform)
+function storePerformanceRecords(slug, workspaceId, records) {
+  const store = loadPerformance(slug, workspaceId);
+  let updated = 0;
+  for (const record of records) {
+    const key = (r) => `${r.job_id}:${r.post_id}:${r.platform}`;
+    const index = store.posts.findIndex((r) => key(r) === key(record));
+    const entry = { ...record, imported_at: new Date().toISOString() };
+    if (index === -1) {
+      store.posts.push(entry);
+    } else {
+      store.posts[index] = entry;
+      updated++;
+    }
+  }
+  writeJsonFile(performancePath(slug, workspaceId), store);
+  return { store, updated };
+}
+
+function engagementOf(record) {
+  const { saves, comments, shares } = record.metrics;
+  return (saves || 0) + (comments || 0) + (shares || 0);
+}
+
+// Engagement rate = (saves + comments + shares) / reach, pooled over the group's posts with a reach
+function performanceGroup(records, keyOf, average) {
+  const groups = new Map();
+  for (const r of records.filter((r) => r.metrics.reach)) {
+    const key = keyOf(r);
+    if (!key) continue;
+    const g = groups.get(key) || { value: key, posts: 0, reach: 0, engagement: 0 };
+    g.posts++;
+    g.reach += r.metrics.reach;
+    g.engagement += engagementOf(r);
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map((g) => {
+      const rate = g.engagement / g.reach;
+      return {
+        ...g,
+        engagement_rate: Math.round(rate * 10000) / 10000,
+        vs_average: average ? Math.round((rate / average) * 100) / 100 : null
+      };
+    })
+    .sort((a, b) => b.engagement_rate - a.engagement_rate);
+}
+
+function summarizePerformance(records) {
+  const withReach = records.filter((r) => r.metrics.reach);
+  const reach = withReach.reduce((n, r) => n + r.metrics.reach, 0);
+  const average = reach ? withReach.reduce((n, r) => n + engagementOf(r), 0) / reach : null;
+  const ranked = withReach
+    .map((r) => ({ ...r, engagement_rate: engagementOf(r) / r.metrics.reach }))
+    .sort((a, b) => b.engagement_rate - a.engagement_rate);
+  const pick = (list, field) =>
+    list
+      .filter((r) => r[field])
+      .slice(0, 3)
+      .map((r) => ({
+        month: r.month,
+        post_id: r.post_id,
+        [field]: r[field],
+        engagement_rate: Math.round(r.engagement_rate * 10000) / 10000
+      }));
+
+  return {
+    posts: records.length,
+    months: [...new Set(records.map((r) => r.month))].sort(),
+    engagement_rate: average === null ? null : Math.round(average * 10000) / 10000,
+    by_month: performanceGroup(records, (r) => r.month, average).sort((a, b) => a.value.localeCompare(b.value)),
+    post_types: performanceGroup(records, (r) => r.post_type, average),
+    formats: performanceGroup(records, (r) => r.format, average),
+    cta_types: performanceGroup(records, (r) => r.cta_type, average),
+    top_hooks: pick(ranked, "hook"),
+    weak_hooks: pick(ranked.slice(3).reverse(), "hook"),
+    top_ctas: pick(ranked, "cta")
+  };
+}
+
+// Summary of the brand's last PERFORMANCE_MONTHS months before campaign.month, or null without data
+function buildPerformanceInsights(job, brandContext) {
+  const month = brandContext.campaign?.month;
+  if (!PERFORMANCE_MONTHS || !job.workspace_id || !/^\d{4}-\d{2}$/.test(month || "")) return null;
+  const since = shiftMonth(month, -PERFORMANCE_MONTHS);
+  // The job's own brand id: ingestion may have renamed the brand in brandContext
+  const slug = jobBrandId(job);
+  const records = loadPerformance(slug, job.workspace_id).posts.filter((r) => r.month < month && r.month >= since);
+  if (!records.some((r) => r.metrics.reach)) return null;
+  return { brand_id: slug, since, ...summarizePerformance(records) };
+}
+
+function performanceLines(insights) {
+  const percent = (rate) => `${(rate * 100).toFixed(1)}%`;
+  const groupLine = (label, groups) => {
+    const usable = groups.filter((g) => g.posts >= PERFORMANCE_MIN_POSTS);
+    if (!usable.length) return null;
+    return `  - ${label}: ${usable
+      .map((g) => `${g.value} ${percent(g.engagement_rate)} (${g.vs_average}x average, ${g.posts} posts)`)
+      .join("; ")}`;
+  };
+  const quoteLine = (label, list, field) =>
+    list.length ? `  - ${label}: ${list.map((r) => `"${r[field]}" (${percent(r.engagement_rate)})`).join("; ")}` : null;
+
+  return [
+    `Past performance since ${insights.since} (${insights.posts} posts; engagement rate = saves + comments + shares per reach, average ${percent(insights.engagement_rate)}):`,
+    groupLine("Post types", insights.post_types),
+    groupLine("Formats", insights.formats),
+    groupLine("CTA types", insights.cta_types),
+    quoteLine("Hooks that worked", insights.top_hooks, "hook"),
+    quoteLine("Hooks that flopped", insights.weak_hooks, "hook"),
+    quoteLine("CTAs that worked", insights.top_ctas, "cta")
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// ---------------------- Post formats ----------------------
+// Carousels and story sets are typeset frame by frame over one background per post; reels are scripts
+const FORMAT_DIRS = { carousel: "Carousels", reel_script: "Reels", story_set: "Stories" };
+const FRAME_PREFIXES = { carousel: "slide", story_set: "frame" };
+const STORY_SPEC = { label: "Story", width: 1080, height: 1920 };
+
+function formatPosts(planJson) {
+  return (planJson?.plan?.posts || []).filter((p) => FORMAT_DIRS[p.recommended_format]);
+}
+
+// Reel length is whatever the shots add up to
+function normalizeFormats(json) {
+  return {
+    formats: json.formats.map((entry) =>
+      entry.format === "reel_script"
+        ? { ...entry, duration_s: entry.shots.reduce((sum, shot) => sum + shot.duration_s, 0) }
+        : entry
+    )
+  };
+}
+
+function formatFrames(entry) {
+  return entry.format === "carousel" ? entry.slides : entry.format === "story_set" ? entry.frames : [];
+}
+
+// Carousels/P02/slide_01.png..., Stories/P04/frame_01.png..., Reels/P03.txt
+function formatAssetPaths(entry) {
+  const dir = FORMAT_DIRS[entry.format];
+  if (entry.format === "reel_script") return [`${dir}/${entry.id}.txt`];
+  return formatFrames(entry).map(
+    (_, i) => `${dir}/${entry.id}/${FRAME_PREFIXES[entry.format]}_${String(i + 1).padStart(2, "0")}.png`
+  );
+}
+
+function reelScriptText(entry) {
+  let at = 0;
+  const shots = entry.shots.map((shot, i) => {
+    const line = `${i + 1}. [${at}s-${at + shot.duration_s}s] ${shot.visual}` +
+      (shot.on_screen_text ? `\n   On screen: ${shot.on_screen_text}` : "");
+    at += shot.duration_s;
+    return line;
+  });
+  return [
+    `Reel ${entry.id} (${entry.duration_s}s)`,
+    entry.hook ? `Hook: ${entry.hook}` : null,
+    entry.audio_hint ? `Audio: ${entry.audio_hint}` : null,
+    "",
+    "Shots:",
+    ...shots,
+    "",
+    "Voiceover:",
+    entry.voiceover,
+    ""
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+// ---------------------- Publishing calendar ----------------------
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+// Publishing times when campaign.schedule.hours is not set
+const DEFAULT_PUBLISH_HOURS = ["09:00", "12:00", "15:00", "18:00"];
+
+// Column order for bulk_upload.csv: a generic one-row-per-post sheet, not any scheduler's official import
+// format; map its columns onto the target tool's bulk upload template
+const BULK_UPLOAD_COLUMNS = [
+  ["Post text", (r) => r.caption],
+  ["Link", () => ""],
+  ["Media file name", (r) => r.image_path],
+  ["Alt text", (r) => r.alt_text],
+  ["Scheduled date", (r) => r.publish_date],
+  ["Scheduled time", (r) => r.publish_time],
+  ["Time zone", (r) => r.timezone]
+];
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validateSchedule(campaign = {}) {
+  const schedule = campaign.schedule || {};
+  const errors = [];
+  if (schedule.weekdays !== undefined) {
+    if (!Array.isArray(schedule.weekdays) || !schedule.weekdays.length) {
+      errors.push("schedule.weekdays must be a non-empty array");
+    } else if (!schedule.weekdays.every((d) => WEEKDAYS.includes(String(d).toLowerCase()))) {
+      errors.push(`schedule.weekdays entries must be ${WEEKDAYS.join("|")}`);
+    }
+  }
+  if (schedule.posts_per_week !== undefined && !(Number.isInteger(schedule.posts_per_week) && schedule.posts_per_week > 0)) {
+    errors.push("schedule.posts_per_week must be a positive integer");
+  }
+  if (schedule.hours !== undefined && (!Array.isArray(schedule.hours) || !schedule.hours.length || !schedule.hours.every((h) => HH_MM.test(h)))) {
+    errors.push("schedule.hours must be a non-empty array of HH:MM times");
+  }
+  if (schedule.timezone !== undefined && !isValidTimeZone(schedule.timezone)) {
+    errors.push(`schedule.timezone "${schedule.timezone}" is not a valid IANA time zone`);
+  }
+  if (errors.length) return errors;
+
+  // Every post needs a slot of its own
+  const postsCount = Number(campaign.posts_count) || 16;
+  const days = publishingDays(campaign, postsCount);
+  if (!days) return [];
+  const capacityError = scheduleCapacityError(days, publishingHours(schedule, days, postsCount), postsCount);
+  return capacityError ? [capacityError] : [];
+}
+
+function scheduleCapacityError(days, hours, postsCount) {
+  const slotCount = days.length * hours.length;
+  if (slotCount >= postsCount) return null;
+  return (
+    `schedule has ${slotCount} publishing slot(s) for ${postsCount} posts; ` +
+    "allow more weekdays, hours or posts_per_week"
+  );
+}
+
+// schedule.hours, else the first DEFAULT_PUBLISH_HOURS needed to give every post its own slot
+function publishingHours(schedule, days, postsCount) {
+  if (schedule.hours) return schedule.hours;
+  return DEFAULT_PUBLISH_HOURS.slice(0, Math.max(1, Math.ceil(postsCount / Math.max(days.length, 1))));
+}
+
+// Wall-clock date/time in tz -> UTC Date (two passes settle DST edges)
+function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm] = time.split(":").map(Number);
+  const wanted = Date.UTC(y, m - 1, d, hh, mm);
+
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit"
+  });
+  const offsetAt = (ts) => {
+    const parts = Object.fromEntries(fmt.formatToParts(new Date(ts)).map((p) => [p.type, p.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return asUtc - ts;
+  };
+
+  let ts = wanted - offsetAt(wanted);
+  ts = wanted - offsetAt(ts);
+  return new Date(ts);
+}
+
+function pickEvenly(list, n) {
+  if (n >= list.length) return list;
+  return Array.from({ length: n }, (_, i) => list[Math.floor((i * list.length) / n)]);
+}
+
+// Allowed days of campaign.month, at most posts_per_week per (Mon-Sun) week; null without a valid month
+function publishingDays(campaign, postsCount) {
+  const schedule = campaign.schedule || {};
+  const [year, month] = String(campaign.month || "").split("-").map(Number);
+  if (!year || !month) return null;
+
+  const weekdays = (schedule.weekdays || ["mon", "tue", "wed", "thu", "fri"]).map((d) => d.toLowerCase());
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const mondayOffset = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+  const weeksInMonth = Math.ceil((daysInMonth + mondayOffset) / 7);
+  const perWeek = schedule.posts_per_week || Math.ceil(postsCount / weeksInMonth);
+
+  const weeks = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    if (!weekdays.includes(WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()])) continue;
+    const week = Math.floor((day - 1 + mondayOffset) / 7);
+    (weeks[week] ||= []).push(day);
+  }
+  return weeks.filter(Boolean).flatMap((w) => pickEvenly(w, perWeek));
+}
+
+/**
+ * campaign.schedule: { weekdays: ["mon","wed","fri"], posts_per_week, hours: ["09:00"], timezone }
+ * Posts are spread evenly over the allowed days of campaign.month, at most posts_per_week per
+ * (Mon-Sun) week; when there are more posts than days, extra hours on the same day are used
+ * (DEFAULT_PUBLISH_HOURS unless hours are set). No two posts share a slot: a schedule with fewer
+ * day x hour slots than posts is rejected.
+ */
+function buildPublishSchedule(brandContext, posts) {
+  const campaign = brandContext?.campaign || {};
+  const schedule = campaign.schedule || {};
+  const [year, month] = String(campaign.month || "").split("-").map(Number);
+  const days = publishingDays(campaign, posts.length);
+  if (!days) throw new Error(`campaign.month must be YYYY-MM (got "${campaign.month}")`);
+  if (!days.length) throw new Error("schedule leaves no publishing days in the month");
+
+  const hours = publishingHours(schedule, days, posts.length);
+  const timezone = schedule.timezone || "UTC";
+  const capacityError = scheduleCapacityError(days, hours, posts.length);
+  if (capacityError) throw new Error(capacityError);
+
+  // One post per day while days last, otherwise day x hour slots
+  const dayHourSlots = days.flatMap((day) => hours.map((hour) => ({ day, hour })));
+  const slots =
+    posts.length <= days.length
+      ? pickEvenly(days, posts.length).map((day, i) => ({ day, hour: hours[i % hours.length] }))
+      : pickEvenly(dayHourSlots, posts.length);
+
+  return posts.map((post, i) => {
+    const slot = slots[i];
+    const publish_date = `${year}-${String(month).padStart(2, "0")}-${String(slot.day).padStart(2, "0")}`;
+    return {
+      id: post.id,
+      publish_date,
+      publish_time: slot.hour,
+      timezone,
+      publish_at: zonedTimeToUtc(publish_date, slot.hour, timezone).toISOString()
+    };
+  });
+}
+
+function csvCell(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+function icsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(iso) {
+  return iso.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function foldIcsLine(line) {
+  const out = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    out.push(rest.slice(0, cut));
+    rest = " " + rest.slice(cut);
+  }
+  out.push(rest);
+  return out.join("\r\n");
+}
+
+function buildIcs(jobId, rows) {
+  const stamp = icsDate(new Date().toISOString());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Stay Contented//Content Calendar//EN",
+    "CALSCALE:GREGORIAN"
+  ];
+  for (const r of rows) {
+    const end = new Date(new Date(r.publish_at).getTime() + 30 * 60 * 1000).toISOString();
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${jobId}-${r.id}@stay-contented`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(r.publish_at)}`,
+      `DTEND:${icsDate(end)}`,
+      `SUMMARY:${icsText(`${r.id} · ${r.post_type} · ${r.topic}`)}`,
+      `DESCRIPTION:${icsText(`${r.caption}\n\nImage: ${r.image_path}`)}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Flat per-post rows joining plan, schedule, caption, headline and image path
+function buildScheduleRows(outDir) {
+  const posts = readJsonFile(path.join(outDir, "content_plan.json"))?.plan?.posts || [];
+  const captions = readJsonFile(path.join(outDir, "captions.json"), { captions: [] }).captions;
+  const visuals = readJsonFile(path.join(outDir, "editorial_visuals.json"), { editorial_visuals: [] })
+    .editorial_visuals;
+  const formats = readJsonFile(path.join(outDir, "formats.json"), { formats: [] }).formats;
+
+  return posts
+    .filter((p) => p.publish_at)
+    .map((p) => {
+      const caption = captions.find((c) => c.id === p.id) || {};
+      const visual = visuals.find((v) => v.id === p.id) || {};
+      const format = formats.find((f) => f.id === p.id);
+      return {
+        id: p.id,
+        publish_date: p.publish_date,
+        publish_time: p.publish_time,
+        timezone: p.timezone,
+        publish_at: p.publish_at,
+        post_type: p.post_type,
+        recommended_format: p.recommended_format,
+        visual_mode: p.visual_mode,
+        topic: p.topic,
+        headline: visual.headline || "",
+        caption: caption.caption || "",
+        cta: caption.cta || "",
+        alt_text: caption.alt_text || "",
+        image_path: postImagePath(p),
+        format_assets: format ? formatAssetPaths(format).join(" ") : ""
+      };
+    });
+}
+
+// Rewritten whenever captions change so the exports never drift from captions.json
+// Post's main image: variant A for product_model posts
+function postImagePath(post) {
+  return post.visual_mode === "product_model" ? `Product_Posts/${post.id}_A.png` : `Editorial_Posts/${post.id}.png`;
+}
+
+const SCHEDULE_EXPORT_FILES = ["schedule.csv", "bulk_upload.csv", "calendar.ics"];
+
+// { file name: content } for the given rows; empty when nothing is scheduled
+function scheduleExportFiles(jobId, rows) {
+  if (!rows.length) return {};
+
+  const columns = Object.keys(rows[0]);
+  return {
+    "schedule.csv": toCsv(columns, rows.map((r) => columns.map((c) => r[c]))),
+    "bulk_upload.csv": toCsv(
+      BULK_UPLOAD_COLUMNS.map(([name]) => name),
+      rows.map((r) => BULK_UPLOAD_COLUMNS.map(([, get]) => get(r)))
+    ),
+    "calendar.ics": buildIcs(jobId, rows)
+  };
+}
+
+function writeScheduleExports(jobId, outDir) {
+  for (const [name, content] of Object.entries(scheduleExportFiles(jobId, buildScheduleRows(outDir)))) {
+    writeFileSafe(path.join(outDir, name), content);
+  }
+}
+
+// ---------------------- Job events (SSE) ----------------------
+// In-memory, per job: the last JOB_EVENT_HISTORY events (replayed to late or reconnecting
+// subscribers via Last-Event-ID) and the open /events responses
+const JOB_EVENT_HISTORY = 500;
+// Final event per terminal status; "error" is reserved by EventSource for connection errors
+const TERMINAL_EVENTS = { done: "done", error: "failed", paused: "paused" };
+const jobEventLog = new Map();
+const jobSubscribers = new Map();
+// Seeded from the clock so ids keep increasing across restarts
+let lastEventId = Date.now();
+
+// Events without an id (snapshots) don't move the client's Last-Event-ID
+function writeSse(res, event) {
+  const id = event.id ? `id: ${event.id}\n` : "";
+  res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// type: status | stage | image | artifact | warning, then one of done | failed | paused
+function emitJobEvent(job, type, data = {}) {
+  const event = {
+    id: ++lastEventId,
+    type,
+    data: { status: job.status, progress: job.progress, ...data, at: Date.now() }
+  };
+  const log = jobEventLog.get(job.id) || [];
+  log.push(event);
+  if (log.length > JOB_EVENT_HISTORY) log.shift();
+  jobEventLog.set(job.id, log);
+
+  const webhookEvent = webhookEventFor(event);
+  if (webhookEvent) notifyWebhooks(job, webhookEvent, event);
+
+  const terminal = Object.values(TERMINAL_EVENTS).includes(type);
+  for (const res of jobSubscribers.get(job.id) || []) {
+    writeSse(res, event);
+    if (terminal) res.end();
+  }
+  // History is only useful while someone might still be watching
+  if (terminal) {
+    setTimeout(() => jobEventLog.get(job.id)?.at(-1) === event && jobEventLog.delete(job.id), 10 * 60 * 1000).unref();
+  }
+}
+
+function subscribeJobEvents(job, req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write("retry: 3000\n\n");
+
+  const since = Number(req.headers["last-event-id"] || req.query.lastEventId || 0);
+  const missed = (jobEventLog.get(job.id) || []).filter((e) => e.id > since);
+  for (const event of missed) writeSse(res, event);
+
+  // No history (e.g. after a restart): send the current state so the client isn't left waiting
+  if (!missed.length) {
+    writeSse(res, { type: "status", data: { status: job.status, progress: job.progress, at: Date.now() } });
+  }
+  const terminalType = TERMINAL_EVENTS[job.status];
+  if (terminalType) {
+    if (!missed.some((e) => e.type === terminalType)) {
+      writeSse(res, {
+        type: terminalType,
+        data: { status: job.status, progress: job.progress, error: job.error }
+      });
+    }
+    return res.end();
+  }
+
+  const subscribers = jobSubscribers.get(job.id) || new Set();
+  subscribers.add(res);
+  jobSubscribers.set(job.id, subscribers);
+
+  const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(res);
+    if (!subscribers.size) jobSubscribers.delete(job.id);
+  });
+}
+
+// ---------------------- Webhooks ----------------------
+// Job lifecycle events are POSTed to the workspace's subscriptions (/api/workspace/webhooks) and to
+// the job's own callback_url. Bodies are signed with the workspace's webhook secret:
+//   X-StayContented-Signature: t=<unix s>,v1=<hex hmac_sha256(secret, "<t>.<raw body>")>
+// Network errors, timeouts and non-2xx responses are retried with exponential backoff; each
+// delivery and its attempts are kept in workspaces/<id>/webhook_deliveries.json, and deliveries a
+// restart cut off resume at their next_attempt_at.
+const WEBHOOK_EVENTS = ["job.started", "job.stage_completed", "job.done", "job.error", "job.paused"];
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 5000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_LOG_LIMIT = 200;
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true";
+// Artifact links in payloads are absolute when set (e.g. https://app.staycontented.com)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const webhookDeliveries = new Map();
+const webhookAgent = pinnedAgent(WEBHOOK_ALLOW_PRIVATE_HOSTS);
+
+// job.started fires on every start, resumes included
+function webhookEventFor({ type, data }) {
+  if (type === "status" && data.status === "running") return "job.started";
+  if (type === "stage" && data.state === "done") return "job.stage_completed";
+  return { done: "job.done", failed: "job.error", paused: "job.paused" }[type] || null;
+}
+
+async function validateWebhookUrl(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  await assertFetchableUrl(url, WEBHOOK_ALLOW_PRIVATE_HOSTS);
+  return url.href;
+}
+
+function ensureWebhookSecret(workspace) {
+  if (!workspace.webhook_secret) {
+    workspace.webhook_secret = `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+    saveWorkspace(workspace);
+  }
+  return workspace.webhook_secret;
+}
+
+function signWebhook(secret, timestamp, body) {
+  const sig = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${sig}`;
+}
+
+// The finished pack for job.done (versions/ left out), else what the completed stage wrote
+function webhookArtifacts(job, webhookEvent, event) {
+  if (webhookEvent === "job.done") {
+    const outDir = path.join(OUTPUTS_DIR, job.id);
+    return fs.existsSync(outDir) ? listFiles(outDir).filter((rel) => !rel.startsWith("versions/")) : [];
+  }
+  if (webhookEvent !== "job.stage_completed") return [];
+  const paths = (jobEventLog.get(job.id) || [])
+    .filter((e) => e.type === "artifact" && e.data.stage === event.data.stage)
+    .map((e) => e.data.path);
+  return [...new Set(paths)];
+}
+
+function webhookPayload(job, webhookEvent, event) {
+  const { expires, query } = signDownload(job.id);
+  const base = `${PUBLIC_BASE_URL}/downloads/${job.id}`;
+  const { status, progress, at, ...data } = event.data;
+  return {
+    event: webhookEvent,
+    created_at: new Date(at).toISOString(),
+    job: {
+      id: job.id,
+      status,
+      progress,
+      brand: job.input?.brand?.name || null,
+      month: job.input?.campaign?.month || null,
+      error: job.error || null
+    },
+    data,
+    artifacts: webhookArtifacts(job, webhookEvent, event).map((rel) => ({
+      path: rel,
+      url: `${base}/${rel.split("/").map(encodeURIComponent).join("/")}?${query}`
+    })),
+    ...(webhookEvent === "job.done" && {
+      downloads: { zip: `${base}.zip?${query}`, zip_all: `${base}.zip?${query}&include=all` }
+    }),
+    links_expire_at: new Date(expires * 1000).toISOString()
+  };
+}
+
+function webhookDeliveriesPath(workspaceId) {
+  return path.join(WORKSPACES_DIR, workspaceId, "webhook_deliveries.json");
+}
+
+function deliveriesFor(workspaceId) {
+  if (!webhookDeliveries.has(workspaceId)) {
+    webhookDeliveries.set(workspaceId, readJsonFile(webhookDeliveriesPath(workspaceId), []));
+  }
+  return webhookDeliveries.get(workspaceId);
+}
+
+// Keeps the log to WEBHOOK_LOG_LIMIT by dropping the oldest finished deliveries; pending ones stay until
+// they are delivered or run out of attempts
+function saveDeliveries(workspaceId) {
+  const deliveries = deliveriesFor(workspaceId);
+  let excess = deliveries.length - WEBHOOK_LOG_LIMIT;
+  for (let i = 0; excess > 0 && i < deliveries.length; ) {
+    if (deliveries[i].status === "pending") i++;
+    else {
+      deliveries.splice(i, 1);
+      excess--;
+    }
+  }
+  writeJsonFile(webhookDeliveriesPath(workspaceId), deliveries);
+}
+
+// Picks up after the attempts already logged, waiting out a persisted next_attempt_at first
+async function deliverWebhook(workspace, delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  for (let attempt = delivery.attempts.length + 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const wait = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) - Date.now() : 0;
+    if (wait > 0) await sleep(wait);
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString(), status_code: null, error: null };
+    try {
+      await assertFetchableUrl(new URL(delivery.url), WEBHOOK_ALLOW_PRIVATE_HOSTS);
+      const res = await undiciFetch(delivery.url, {
+        dispatcher: webhookAgent,
+        method: "POST",
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "StayContented-Webhooks/1.0",
+          "X-StayContented-Event": delivery.event,
+          "X-StayContented-Delivery": delivery.id,
+          "X-StayContented-Signature": signWebhook(
+            ensureWebhookSecret(workspace),
+            Math.floor(startedAt / 1000),
+            body
+          )
+        },
+        body
+      });
+      await res.body?.cancel();
+      record.status_code = res.status;
+      if (!res.ok) record.error = `Responded ${res.status}`;
+    } catch (err) {
+      record.error = err.name === "TimeoutError" ? `No response within ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+    }
+    record.duration_ms = Date.now() - startedAt;
+    delivery.attempts.push(record);
+
+    const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+    if (!record.error) {
+      delivery.status = "delivered";
+      delivery.delivered_at = record.at;
+    } else if (attempt === WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+    }
+    delivery.next_attempt_at = delivery.status === "pending" ? new Date(Date.now() + delay).toISOString() : null;
+    saveDeliveries(workspace.id);
+    if (delivery.status !== "pending") return;
+  }
+  // Already out of attempts when resumed (e.g. WEBHOOK_MAX_ATTEMPTS was lowered)
+  delivery.status = "failed";
+  delivery.next_attempt_at = null;
+  saveDeliveries(workspace.id);
+}
+
+function startDelivery(workspace, delivery) {
+  deliverWebhook(workspace, delivery).catch((err) =>
+    console.error(`Webhook ${delivery.id} for job ${delivery.job_id} failed:`, err.message)
+  );
+}
+
+// Deliveries still pending on disk were cut off by a restart
+function resumeWebhookDeliveries() {
+  for (const workspace of workspaces.values()) {
+    for (const delivery of deliveriesFor(workspace.id).filter((d) => d.status === "pending")) {
+      startDelivery(workspace, delivery);
+    }
+  }
+}
+
+// Called from emitJobEvent; deliveries run in the background and never hold up the job
+function notifyWebhooks(job, webhookEvent, event) {
+  const workspace = job.workspace_id && workspaces.get(job.workspace_id);
+  if (!workspace) return;
+  const targets = (workspace.webhooks || [])
+    .filter((hook) => hook.events.includes(webhookEvent))
+    .map((hook) => ({ webhook_id: hook.id, url: hook.url }));
+  if (job.callback_url) targets.push({ webhook_id: null, url: job.callback_url });
+  if (!targets.length) return;
+
+  const payload = webhookPayload(job, webhookEvent, event);
+  for (const target of targets) {
+    const delivery = {
+      id: uuidv4(),
+      ...target,
+      event: webhookEvent,
+      job_id: job.id,
+      status: "pending",
+      created_at: payload.created_at,
+      delivered_at: null,
+      next_attempt_at: null,
+      attempts: [],
+      payload
+    };
+    deliveriesFor(workspace.id).push(delivery);
+    saveDeliveries(workspace.id);
+    startDelivery(workspace, delivery);
+  }
+}
+
+// ---------------------- Job runner ----------------------
+// input.stages runs the pipeline up to the last listed stage. Stages it depends on still run; the
+// optional ones (ingest, formats, localize) only run when listed. No stages = everything.
+const PIPELINE_STAGES = [
+  "ingest",
+  "plan",
+  "captions",
+  "compliance",
+  "editorial_visuals",
+  "formats",
+  "localize",
+  "images"
+];
+const OPTIONAL_STAGES = ["ingest", "formats", "localize"];
+
+function validateStages(stages) {
+  if (stages === undefined) return [];
+  if (!Array.isArray(stages) || !stages.length) return ["stages must be a non-empty array"];
+  const unknown = stages.filter((s) => !PIPELINE_STAGES.includes(s));
+  return unknown.length ? [`stages: unknown ${unknown.join(", ")} (allowed: ${PIPELINE_STAGES.join(", ")})`] : [];
+}
+
+function lastPipelineStage(stages) {
+  return stages ? PIPELINE_STAGES.filter((s) => stages.includes(s)).at(-1) : "images";
+}
+
+function runsStage(stages, stage) {
+  return !stages || !OPTIONAL_STAGES.includes(stage) || stages.includes(stage);
+}
+
+// options.provider replaces the job's (metered) provider, e.g. the CLI's prompt-printing dry run;
+// options.dryRun also skips website fetches and never saves a drafted brand profile
+async function runJob(jobId, options = {}) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  const outDir = path.join(OUTPUTS_DIR, jobId);
+  const validationReports = [];
+  const finish = (artifact = "content_plan.json") => {
+    job.progress = 100;
+    job.status = "done";
+    job.finishedAt = Date.now();
+    job.downloadUrl = fs.existsSync(path.join(outDir, artifact)) ? `/downloads/${jobId}/${artifact}` : null;
+  };
+  // input.stages: stop once the last listed stage is done
+  const finishedAfter = (stage) => {
+    if (stage !== lastPipelineStage(job.input.stages)) return false;
+    finish(stage === "ingest" ? "brand_context.json" : undefined);
+    return true;
+  };
+
+  try {
+    job.status = "running";
+    job.progress = 10;
+    job.startedAt = job.startedAt || Date.now();
+    saveJobToFile(job);
+    emitJobEvent(job, "status");
+
+    let brandContext = job.input;
+    const provider = options.provider || providerForJob(job);
+    job.provider = { name: provider.name, text_model: provider.textModel, image_model: provider.imageModel };
+    job.mix = resolveCampaignMix(brandContext);
+    const [primaryPlatform, ...extraPlatforms] = resolvePlatforms(brandContext);
+
+    // Prompt templates as of the first run; the checkpoint keeps their bodies, so a resume uses the same ones
+    const templates = await runStep(job, "prompt_templates", () =>
+      resolvePromptTemplates(job.workspace_id, jobBrandId(job))
+    );
+    job.prompt_templates = promptTemplateRefs(templates);
+    writeJsonFile(path.join(outDir, "prompt_templates.json"), templates);
+
+    // Each text stage announces itself, and its result is written out as soon as it exists
+    const runStage = async (stage, prompt, validate, transform = (data) => data, artifact) => {
+      emitJobEvent(job, "stage", { stage, state: "started" });
+      const { data, report } = await runStep(job, stage, async () => {
+        try {
+          const result = await callOpenAIJsonValidated(provider, stage, prompt(), validate);
+          return { data: transform(result.data), report: result.report };
+        } catch (err) {
+          if (err.validationReport) validationReports.push(err.validationReport);
+          throw err;
+        }
+      });
+      validationReports.push(report);
+      if (report.attempts.length > 1) {
+        emitJobEvent(job, "warning", { stage, message: `${stage} needed ${report.attempts.length - 1} repair turn(s)` });
+      }
+      if (artifact) {
+        writeJsonFile(path.join(outDir, artifact), data);
+        emitJobEvent(job, "artifact", { stage, path: artifact });
+      }
+      emitJobEvent(job, "stage", { stage, state: "done" });
+      return data;
+    };
+
+    // 0) Brand ingestion (website and/or uploaded guide); failures only cost the prefill
+    const ingestWanted = runsStage(job.input.stages, "ingest") && job.input.ingest !== false;
+    if (ingestWanted && (normalizeWebsite(job.input.brand?.website) || job.brand_guide)) {
+      emitJobEvent(job, "stage", { stage: "ingest", state: "started" });
+      // A failed ingestion is not checkpointed, so a resume tries it again
+      let ingested = loadCheckpoint(job, "ingest");
+      if (!ingested) {
+        try {
+          const guide = job.brand_guide && {
+            file: path.join(outDir, job.brand_guide.path),
+            mimetype: job.brand_guide.mimetype,
+            name: job.brand_guide.original_name
+          };
+          const result = await ingestBrandContext(provider, job.input, { guide, offline: options.dryRun });
+          // First ingestion for this brand seeds an editable workspace profile
+          const draft = draftBrandProfile(job.input, result);
+          const draftErrors = validateBrandProfile(draft);
+          if (draftErrors.length) {
+            result.warnings = [...(result.warnings || []), `Drafted profile not saved: ${draftErrors.join("; ")}`];
+          } else if (options.dryRun) {
+            result.warnings = [...(result.warnings || []), "Drafted profile not saved (dry run)"];
+          } else if (!loadBrandProfile(draft.brand_id, job.workspace_id) && !loadBrandProfile(draft.brand_id)) {
+            saveBrandProfile(draft, job.workspace_id);
+            result.saved_profile = draft.brand_id;
+          }
+          ingested = { ...result, draft_profile: draft };
+          saveCheckpoint(job, "ingest", ingested);
+        } catch (err) {
+          if (err.code === "budget_exceeded") throw err;
+          if (err.validationReport) validationReports.push(err.validationReport);
+          ingested = { error: err.message };
+        }
+      }
+
+      if (ingested.report) validationReports.push(ingested.report);
+      const warnings = [...(ingested.warnings || [])];
+      if (ingested.error) warnings.push(`Ingestion failed: ${ingested.error}`);
+      for (const message of warnings) emitJobEvent(job, "warning", { stage: "ingest", message });
+      if (!ingested.error) {
+        brandContext = applyIngestedContext(job.input, ingested);
+        writeJsonFile(path.join(outDir, "brand_context.json"), { ...ingested, brand_context: brandContext.brand });
+        emitJobEvent(job, "artifact", { stage: "ingest", path: "brand_context.json" });
+      }
+      emitJobEvent(job, "stage", { stage: "ingest", state: "done" });
+    }
+    if (finishedAfter("ingest")) return;
+
+    // 1) Plan, told what this brand ran in recent months; near-duplicates are flagged, not rejected
+    const topicHistory = await runStep(job, "memory", () => buildTopicHistory(job, brandContext));
+    // ...and what performed: imported engagement metrics of its recent packs
+    const performance = await runStep(job, "performance", () => buildPerformanceInsights(job, brandContext));
+    if (performance) {
+      job.performance = { since: performance.since, posts: performance.posts };
+      writeJsonFile(path.join(outDir, "performance_insights.json"), performance);
+      emitJobEvent(job, "artifact", { stage: "plan", path: "performance_insights.json" });
+    }
+    const planJson = await runStage(
+      "plan",
+      () => promptPlan(brandContext, topicHistory, performance, templates),
+      (json) => validatePlanJson(json, brandContext),
+      (json) => applyMixedMode(json, brandContext),
+      "content_plan.json"
+    );
+    if (topicHistory.length) {
+      const repeats = findTopicRepeats(planJson, topicHistory);
+      job.topic_memory = { months: topicHistory.map((h) => h.month), repeats: repeats.length };
+      writeJsonFile(path.join(outDir, "topic_memory.json"), {
+        threshold: TOPIC_SIMILARITY_THRESHOLD,
+        history: topicHistory,
+        repeats
+      });
+      emitJobEvent(job, "artifact", { stage: "plan", path: "topic_memory.json" });
+      for (const r of repeats) {
+        emitJobEvent(job, "warning", {
+          stage: "plan",
+          message: `${r.id} ${r.field} repeats ${r.matches.id} from ${r.matches.month} (similarity ${r.similarity})`
+        });
+      }
+    }
+    job.progress = 35;
+    jobs.set(jobId, job);
+    saveJobToFile(job);
+    if (finishedAfter("plan")) return;
+
+    // 2) Captions
+    let captionsJson = await runStage(
+      "captions",
+      () => promptCaptions(brandContext, planJson, primaryPlatform, templates),
+      (json) => validateCaptionsJson(json, planJson, primaryPlatform),
+      undefined,
+      "captions.json"
+    );
+
+    // 2b) Captions for every other platform, from the same plan
+    let platformCaptions = {};
+    for (const platform of extraPlatforms) {
+      platformCaptions[platform] = await runStage(
+        `captions_${platform}`,
+        () => promptCaptions(brandContext, planJson, platform, templates),
+        (json) => validateCaptionsJson(json, planJson, platform),
+        undefined,
+        `Platforms/${platform}/captions.json`
+      );
+    }
+    if (finishedAfter("captions")) return;
+
+    // 2c) Compliance lint; rewritten captions are part of the checkpoint so resume keeps them
+    emitJobEvent(job, "stage", { stage: "compliance", state: "started" });
+    const compliance = await runStep(job, "compliance", () =>
+      enforceCompliance(
+        provider,
+        brandContext,
+        planJson,
+        { [primaryPlatform]: captionsJson, ...platformCaptions },
+        templates
+      )
+    );
+    ({ [primaryPlatform]: captionsJson, ...platformCaptions } = compliance.captions);
+    job.compliance = compliance.report.summary;
+    job.progress = 55;
+    jobs.set(jobId, job);
+    saveJobToFile(job);
+    if (job.compliance.failed) {
+      emitJobEvent(job, "warning", {
+        stage: "compliance",
+        message: `${job.compliance.failed} caption(s) failed compliance; see compliance_report.json`
+      });
+    }
+    writeJsonFile(path.join(outDir, "captions.json"), captionsJson);
+    for (const platform of extraPlatforms) {
+      writeJsonFile(path.join(platformDir(outDir, platform), "captions.json"), platformCaptions[platform]);
+    }
+    writeJsonFile(path.join(outDir, "compliance_report.json"), compliance.report);
+    emitJobEvent(job, "artifact", { stage: "compliance", path: "compliance_report.json" });
+    emitJobEvent(job, "stage", { stage: "compliance", state: "done", summary: job.compliance });
+    if (finishedAfter("compliance")) return;
+
+    // 3) Editorial briefs (still generated for all posts; we filter later)
+    const visualsJson = await runStage(
+      "editorial_visuals",
+      () => promptEditorialVisuals(brandContext, planJson, captionsJson, templates),
+      (json) => validateEditorialVisualsJson(json, planJson),
+      undefined,
+      "editorial_visuals.json"
+    );
+    if (finishedAfter("editorial_visuals")) return;
+
+    // 3b) Carousel slides, reel scripts and story frames for posts that aren't a single image
+    const formatsJson =
+      runsStage(job.input.stages, "formats") && formatPosts(planJson).length
+        ? await runStage(
+            "formats",
+            () => promptFormats(brandContext, planJson, captionsJson, visualsJson),
+            (json) => validateFormatsJson(json, planJson),
+            normalizeFormats,
+            "formats.json"
+          )
+        : { formats: [] };
+    for (const entry of formatsJson.formats.filter((f) => f.format === "reel_script")) {
+      writeFileSafe(path.join(outDir, formatAssetPaths(entry)[0]), reelScriptText(entry));
+    }
+    if (finishedAfter("formats")) return;
+
+    // 3c) Secondary locales: captions + editorial headlines adapted from the primary ones, each
+    // linted against that locale's banned words
+    const [, ...extraLocales] = runsStage(job.input.stages, "localize") ? resolveLocales(brandContext) : [];
+    const localized = {};
+    for (const locale of extraLocales) {
+      const data = await runStage(
+        `localize_${locale}`,
+        () => promptLocalize(brandContext, captionsJson, visualsJson, locale, primaryPlatform),
+        (json) => validateLocalizedJson(json, planJson, primaryPlatform)
+      );
+      const checked = await runStep(job, `compliance_${locale}`, () =>
+        enforceCompliance(
+          provider,
+          brandContext,
+          planJson,
+          { [primaryPlatform]: { captions: data.captions } },
+          templates,
+          locale
+        )
+      );
+      localized[locale] = {
+        captions: checked.captions[primaryPlatform],
+        visuals: { editorial_visuals: data.editorial_visuals },
+        report: checked.report
+      };
+      writeJsonFile(path.join(outDir, localeFile("captions.json", locale)), localized[locale].captions);
+      writeJsonFile(path.join(outDir, localeFile("editorial_visuals.json", locale)), localized[locale].visuals);
+      if (checked.report.summary.failed) {
+        emitJobEvent(job, "warning", {
+          stage: `localize_${locale}`,
+          message: `${checked.report.summary.failed} ${locale} caption(s) failed compliance; see compliance_report.json`
+        });
+      }
+    }
+    const complianceReport = mergeComplianceReports([
+      compliance.report,
+      ...Object.values(localized).map((l) => l.report)
+    ]);
+    job.compliance = complianceReport.summary;
+    writeJsonFile(path.join(outDir, "compliance_report.json"), complianceReport);
+    job.progress = 65;
+    jobs.set(jobId, job);
+    saveJobToFile(job);
+    if (finishedAfter("localize")) return;
+
+    // Brand style + compiled prompts
+    const brandStyle = resolveBrandStyle(brandContext, job.workspace_id);
+    job.brand_id = brandStyle.brand_id;
+
+    const editorialVisualsCompiled = (visualsJson.editorial_visuals || []).map((v) => {
+      const compiled = compileEditorialPrompt(brandStyle, v, primaryPlatform, templates);
+      return { ...v, ...compiled };
+    });
+
+    const posts = planJson?.plan?.posts || [];
+    const productPosts = posts.filter((p) => p.visual_mode === "product_model");
+    const productBriefs = productPosts.map((p) =>
+      compileProductModelBrief(brandStyle, p, brandContext)
+    );
+
+    // 4) Publish dates within campaign.month
+    for (const slot of buildPublishSchedule(brandContext, posts)) {
+      Object.assign(posts.find((p) => p.id === slot.id), slot);
+    }
+
+    // 5) Save outputs
+    ensureDir(outDir);
+
+    writeFileSafe(path.join(outDir, "content_plan.json"), JSON.stringify(planJson, null, 2));
+    writeFileSafe(path.join(outDir, "captions.json"), JSON.stringify(captionsJson, null, 2));
+    writeFileSafe(path.join(outDir, "editorial_visuals.json"), JSON.stringify(visualsJson, null, 2));
+    writeFileSafe(path.join(outDir, "brand_style.json"), JSON.stringify(brandStyle, null, 2));
+    writeFileSafe(
+      path.join(outDir, "editorial_visuals_compiled.json"),
+      JSON.stringify({ editorial_visuals: editorialVisualsCompiled }, null, 2)
+    );
+    writeFileSafe(
+      path.join(outDir, "product_model_briefs.json"),
+      JSON.stringify({ product_visuals: productBriefs }, null, 2)
+    );
+    writeFileSafe(
+      path.join(outDir, "validation_report.json"),
+      JSON.stringify({ stages: validationReports }, null, 2)
+    );
+    writeScheduleExports(jobId, outDir);
+    for (const artifact of [
+      "content_plan.json",
+      "captions.json",
+      "editorial_visuals_compiled.json",
+      "product_model_briefs.json",
+      "compliance_report.json",
+      "calendar.ics",
+      ...extraPlatforms.map((p) => `Platforms/${p}/captions.json`),
+      ...extraLocales.map((locale) => localeFile("captions.json", locale)),
+      ...formatsJson.formats.filter((f) => f.format === "reel_script").flatMap(formatAssetPaths)
+    ]) {
+      emitJobEvent(job, "artifact", { stage: "outputs", path: artifact });
+    }
+    emitJobEvent(job, "stage", { stage: "outputs", state: "done" });
+
+    // 6) Generate editorial images
+    const editorialDir = path.join(outDir, "Editorial_Posts");
+    ensureDir(editorialDir);
+
+    const editorialIds = new Set(
+      posts.filter((p) => p.visual_mode === "editorial").map((p) => p.id)
+    );
+
+    const editorialOnly = editorialVisualsCompiled.filter((v) => editorialIds.has(v.id));
+
+    // Progress moves 75 -> 99 across all editorial and product images
+    const imageTotal =
+      editorialOnly.length * (1 + extraPlatforms.length + extraLocales.length) +
+      productBriefs.reduce((n, b) => n + b.variants.length, 0) +
+      formatsJson.formats.reduce((n, f) => n + formatFrames(f).length, 0);
+    let imagesDone = 0;
+    const imageDone = (step, id, outPath, platform) => {
+      imagesDone++;
+      job.progress = 75 + Math.floor((24 * imagesDone) / Math.max(1, imageTotal));
+      saveCheckpoint(job, step, { path: outPath });
+      emitJobEvent(job, "image", {
+        done: imagesDone,
+        total: imageTotal,
+        id,
+        platform: platform || null,
+        path: path.relative(outDir, outPath).split(path.sep).join("/"),
+        message: `image ${imagesDone}/${imageTotal} ${id} done`
+      });
+    };
+
+    job.progress = 75;
+    emitJobEvent(job, "stage", { stage: "images", state: "started", total: imageTotal });
+
+    for (const v of editorialOnly) {
+      const outPath = path.join(editorialDir, `${v.id}.png`);
+      const step = `image_${v.id}`;
+      if (job.completed_steps?.includes(step) && fs.existsSync(outPath)) {
+        imagesDone++;
+        continue;
+      }
+
+      await generateEditorialImage(provider, v.image_prompt, outPath, {
+        ...PLATFORM_SPECS[primaryPlatform],
+        overlay: { ...v, brandStyle }
+      });
+      imageDone(step, v.id, outPath, primaryPlatform);
+    }
+
+    // 6a) Visual QA before anything reuses the primary backgrounds (platform sizes, locales, carousels)
+    if (VISUAL_QA && editorialOnly.length) {
+      emitJobEvent(job, "stage", { stage: "visual_qa", state: "started", total: editorialOnly.length });
+      const ocr = await createOcrWorker();
+      const images = [];
+      try {
+        for (const v of editorialOnly) {
+          const imagePath = path.join(editorialDir, `${v.id}.png`);
+          const qa = await runStep(job, `qa_${v.id}`, () =>
+            qaEditorialImage(
+              ocr,
+              provider,
+              imagePath,
+              v,
+              brandStyle,
+              PLATFORM_SPECS[primaryPlatform],
+              VISUAL_QA_MAX_REGENERATIONS
+            )
+          );
+          images.push({ ...qa, path: path.relative(outDir, imagePath).split(path.sep).join("/") });
+          if (!qa.passed) {
+            emitJobEvent(job, "warning", {
+              stage: "visual_qa",
+              message: `${v.id} scored ${qa.score} in visual QA: ${qa.issues.join("; ")}`
+            });
+          }
+        }
+      } finally {
+        await ocr.terminate();
+      }
+      job.visual_qa = summarizeVisualQa(images);
+      writeJsonFile(path.join(outDir, "visual_qa.json"), {
+        threshold: VISUAL_QA_MIN_SCORE,
+        max_regenerations: VISUAL_QA_MAX_REGENERATIONS,
+        scope: VISUAL_QA_SCOPE,
+        summary: job.visual_qa,
+        images
+      });
+      saveJobToFile(job);
+      emitJobEvent(job, "artifact", { stage: "visual_qa", path: "visual_qa.json" });
+      emitJobEvent(job, "stage", { stage: "visual_qa", state: "done", summary: job.visual_qa });
+    }
+
+    // 6b) Same briefs re-composed at each other platform's size
+    for (const platform of extraPlatforms) {
+      for (const v of editorialOnly) {
+        const outPath = path.join(platformDir(outDir, platform), "Editorial_Posts", `${v.id}.png`);
+        const step = `image_${platform}_${v.id}`;
+        if (job.completed_steps?.includes(step) && fs.existsSync(outPath)) {
+          imagesDone++;
+          continue;
+        }
+
+        const { image_prompt } = compileEditorialPrompt(brandStyle, v, platform, templates);
+        await generateEditorialImage(provider, image_prompt, outPath, {
+          ...PLATFORM_SPECS[platform],
+          overlay: { ...v, brandStyle }
+        });
+        imageDone(step, v.id, outPath, platform);
+      }
+    }
+
+    // 6c) Each secondary locale's headlines typeset over the primary backgrounds (no model call)
+    for (const locale of extraLocales) {
+      const headlines = localized[locale].visuals.editorial_visuals;
+      for (const v of editorialOnly) {
+        const outPath = path.join(editorialDir, locale, `${v.id}.png`);
+        const step = `locale_${locale}_${v.id}`;
+        if (job.completed_steps?.includes(step) && fs.existsSync(outPath)) {
+          imagesDone++;
+          continue;
+        }
+
+        const { headline, subtext = "" } = headlines.find((h) => h.id === v.id);
+        await writeEditorialOverlay(
+          path.join(editorialDir, "backgrounds", `${v.id}.png`),
+          outPath,
+          { ...v, headline, subtext, brandStyle },
+          PLATFORM_SPECS[primaryPlatform]
+        );
+        imageDone(step, `${v.id} ${locale}`, outPath, primaryPlatform);
+      }
+    }
+
+    // 7) Render product_model posts (A + B variant each) from the uploaded product photos
+    const productDir = path.join(outDir, "Product_Posts");
+    const references = (job.product_images || []).map((img) => path.join(outDir, img.path));
+
+    for (const brief of productBriefs) {
+      for (const v of brief.variants) {
+        const outPath = path.join(productDir, `${brief.id}_${v.variant}.png`);
+        const step = `product_${brief.id}_${v.variant}`;
+        if (job.completed_steps?.includes(step) && fs.existsSync(outPath)) {
+          imagesDone++;
+          continue;
+        }
+
+        await generateProductImage(provider, v.prompt, references, outPath);
+        imageDone(step, `${brief.id}_${v.variant}`, outPath);
+      }
+    }
+
+    // 8) Carousel slides (platform size) and story frames (9:16), typeset over one background per
+    // post: a carousel reuses its editorial background, anything else gets one generated for it
+    for (const entry of formatsJson.formats) {
+      const frames = formatFrames(entry);
+      if (!frames.length) continue;
+
+      const visual = editorialVisualsCompiled.find((v) => v.id === entry.id);
+      const spec = entry.format === "story_set" ? STORY_SPEC : PLATFORM_SPECS[primaryPlatform];
+      const assets = formatAssetPaths(entry).map((rel) => path.join(outDir, rel));
+      const editorialBackground = path.join(editorialDir, "backgrounds", `${entry.id}.png`);
+      const background =
+        entry.format === "carousel" && editorialIds.has(entry.id) && fs.existsSync(editorialBackground)
+          ? editorialBackground
+          : path.join(path.dirname(assets[0]), "backgrounds", path.basename(assets[0]));
+
+      for (const [i, frame] of frames.entries()) {
+        const outPath = assets[i];
+        const step = `${FRAME_PREFIXES[entry.format]}_${entry.id}_${i + 1}`;
+        if (job.completed_steps?.includes(step) && fs.existsSync(outPath)) {
+          imagesDone++;
+          continue;
+        }
+
+        const overlay = { headline: frame.headline, subtext: frame.subtext || "", layout: visual.layout, brandStyle };
+        if (fs.existsSync(background)) {
+          await writeEditorialOverlay(background, outPath, overlay, spec);
+        } else {
+          const { image_prompt } = compileEditorialPrompt(brandStyle, visual, primaryPlatform, templates, spec);
+          await generateEditorialImage(provider, image_prompt, outPath, { ...spec, overlay });
+        }
+        imageDone(step, `${entry.id} ${path.basename(outPath, ".png")}`, outPath);
+      }
+    }
+
+    finish();
+  } catch (err) {
+    // Over budget: keep checkpoints and wait for POST /api/jobs/:id/resume
+    job.status = err?.code === "budget_exceeded" ? "paused" : "error";
+    job.error = err?.message || "Unknown error";
+    if (validationReports.length) {
+      writeFileSafe(
+        path.join(outDir, "validation_report.json"),
+        JSON.stringify({ stages: validationReports }, null, 2)
+      );
+    }
+  } finally {
+    jobs.set(jobId, job);
+    saveJobToFile(job);
+    emitJobEvent(job, TERMINAL_EVENTS[job.status], job.status === "done" ? {} : { error: job.error });
+  }
+}
+
+// ---------------------- Job queue ----------------------
+// FIFO of job ids; job.json status is the durable source of truth
+const jobQueue = [];
+let activeWorkers = 0;
+
+function enqueueJob(jobId) {
+  if (!jobQueue.includes(jobId)) jobQueue.push(jobId);
+  drainQueue();
+}
+
+function drainQueue() {
+  while (activeWorkers < JOB_WORKERS && jobQueue.length) {
+    const jobId = jobQueue.shift();
+    activeWorkers++;
+    runJob(jobId)
+      .catch((err) => console.error(`Worker crashed on job ${jobId}:`, err))
+      .finally(() => {
+        activeWorkers--;
+        drainQueue();
+      });
+  }
+}
+
+// Jobs left queued/running by a restart resume from their last checkpoint
+function resumeInterruptedJobs() {
+  const pending = [...jobs.values()]
+    .filter((j) => j.status === "queued" || j.status === "running")
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+  for (const job of pending) {
+    if (job.status === "running") job.resumeCount = (job.resumeCount || 0) + 1;
+    job.status = "queued";
+    saveJobToFile(job);
+    enqueueJob(job.id);
+  }
+  if (pending.length) console.log(`Resuming ${pending.length} interrupted jobs`);
+}
+
+// ---------------------- Job listing + retention ----------------------
+// A job's data is jobs/<id>/ (job.json + checkpoints) and OUTPUTS_DIR/<id>/ (outputs, plus the uploaded
+// product photos and brand guide). Done and failed jobs older than the workspace's retention
+// (workspace.retention.days, else JOB_RETENTION_DAYS; neither set keeps them) are deleted by a sweep
+// every RETENTION_SWEEP_MS, which also clears multer temp files abandoned in uploads/. Paused jobs wait
+// for a resume, so they are kept until deleted by hand.
+const JOB_RETENTION_DAYS = process.env.JOB_RETENTION_DAYS ? Number(process.env.JOB_RETENTION_DAYS) : null;
+const RETENTION_SWEEP_MS = Number(process.env.RETENTION_SWEEP_MS || 60 * 60 * 1000);
+const UPLOAD_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_STATUSES = ["queued", "running", "done", "error", "paused"];
+const JOBS_PER_PAGE = 20;
+
+function retentionDays(workspaceId) {
+  const days = workspaceId && workspaces.get(workspaceId)?.retention?.days;
+  return days || JOB_RETENTION_DAYS;
+}
+
+function validateRetention(retention) {
+  if (!retention || typeof retention !== "object") return ["body must be { days }"];
+  const { days } = retention;
+  if (days !== null && !(Number.isInteger(days) && days >= 1)) return ["days must be a whole number >= 1, or null"];
+  return [];
+}
+
+// Queued, running and paused jobs never expire
+function jobExpiresAt(job) {
+  const days = retentionDays(job.workspace_id);
+  if (!days || !["done", "error"].includes(job.status)) return null;
+  return (job.finishedAt || job.createdAt) + days * DAY_MS;
+}
+
+function jobSummary(job) {
+  const review = Object.values(job.review || {});
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    brand: job.input?.brand?.name || null,
+    month: job.input?.campaign?.month || null,
+    platforms: resolvePlatforms(job.input),
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt || null,
+    expiresAt: jobExpiresAt(job),
+    error: job.error || null,
+    cost_usd: job.usage?.totals?.cost_usd ?? null,
+    approved: review.filter((r) => r.status === "approved").length,
+    downloads: job.status === "done" ? withDownloadLinks(job).downloads : null
+  };
+}
+
+function dirSize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  return listFiles(dir).reduce((n, rel) => n + fs.statSync(path.join(dir, rel)).size, 0);
+}
+
+// Why a job can't be deleted right now: it is running, or a regeneration/edit holds (or waits on) its lock
+function jobBusyError(job) {
+  if (job.status === "running") return "Job is running; delete it once it finishes";
+  if (jobLocks.has(job.id)) return "Job is being regenerated or edited; delete it once that finishes";
+  return null;
+}
+
+// Removes every trace of a job; the caller checks jobBusyError first
+function deleteJob(job) {
+  const dirs = [path.join("jobs", job.id), path.join(OUTPUTS_DIR, job.id)];
+  const freedBytes = dirs.reduce((n, dir) => n + dirSize(dir), 0);
+
+  const queued = jobQueue.indexOf(job.id);
+  if (queued !== -1) jobQueue.splice(queued, 1);
+  for (const res of jobSubscribers.get(job.id) || []) res.end();
+  jobSubscribers.delete(job.id);
+  jobEventLog.delete(job.id);
+  jobs.delete(job.id);
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+  return freedBytes;
+}
+
+function sweepRetention(now = Date.now()) {
+  let deleted = 0;
+  let freedBytes = 0;
+  for (const job of [...jobs.values()]) {
+    const expiresAt = jobExpiresAt(job);
+    if (expiresAt === null || expiresAt > now || jobBusyError(job)) continue;
+    freedBytes += deleteJob(job);
+    deleted++;
+  }
+
+  if (fs.existsSync("uploads")) {
+    for (const name of fs.readdirSync("uploads")) {
+      const file = path.join("uploads", name);
+      const stat = fs.statSync(file);
+      if (!stat.isFile() || now - stat.mtimeMs < UPLOAD_MAX_AGE_MS) continue;
+      fs.rmSync(file, { force: true });
+      freedBytes += stat.size;
+    }
+  }
+
+  if (deleted || freedBytes) {
+    console.log(`Retention sweep: deleted ${deleted} jobs, freed ${(freedBytes / 1024 / 1024).toFixed(1)} MB`);
+  }
+  return { deleted, freed_bytes: freedBytes };
+}
+
+// ---------------------- Post regeneration ----------------------
+const REGENERATE_TARGETS = ["caption", "editorial_brief", "image", "product_brief"];
+
+function withFeedback(prompt, feedback) {
+  if (!feedback) return prompt;
+  return `${prompt}\n\nRevision feedback from the client (apply it, keep everything else on-brief):\n${feedback}`;
+}
+
+// Plan narrowed to a single post so the stage prompt builders can be reused as-is
+function singlePostPlan(planJson, post) {
+  return { plan: { ...planJson.plan, posts_count: 1, posts: [post] } };
+}
+
+// Mutations of a finished job's pack (regenerate, edit) read-modify-write its JSON outputs and job.revisions,
+// so they run one at a time per job, in arrival order
+const jobLocks = new Map();
+
+function withJobLock(jobId, fn) {
+  const run = (jobLocks.get(jobId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  jobLocks.set(jobId, tail);
+  tail.then(() => {
+    if (jobLocks.get(jobId) === tail) jobLocks.delete(jobId);
+  });
+  return run;
+}
+
+// Copies the replaced artifact to versions/<postId>/<target>.v<N>.<ext>, once its replacement succeeded
+function archiveVersion(job, outDir, postId, target, content, ext = "json") {
+  const revisions = job.revisions || [];
+  const version = revisions.filter((r) => r.post_id === postId && r.target === target).length + 1;
+  const versionPath = path.join(outDir, "versions", postId, `${target}.v${version}.${ext}`);
+
+  if (Buffer.isBuffer(content)) writeFileSafe(versionPath, content);
+  else writeJsonFile(versionPath, content ?? null);
+
+  return { version, archived: path.relative(outDir, versionPath) };
+}
+
+// Variants a change to the primary post could not re-derive (other platforms and locales):
+// job.stale[postId] lists their outDir-relative paths until a regeneration refreshes them
+function markStale(job, postId, paths) {
+  if (!paths.length) return;
+  job.stale = { ...(job.stale || {}), [postId]: [...new Set([...(job.stale?.[postId] || []), ...paths])] };
+}
+
+function clearStale(job, postId, paths) {
+  const { [postId]: current = [], ...rest } = job.stale || {};
+  const left = current.filter((p) => !paths.includes(p));
+  job.stale = left.length ? { ...rest, [postId]: left } : rest;
+}
+
+// Secondary platforms that have outputs for this pack (a run stopped after "plan" has none)
+function variantPlatforms(outDir, brandContext) {
+  return resolvePlatforms(brandContext)
+    .slice(1)
+    .filter((platform) => fs.existsSync(path.join(platformDir(outDir, platform), "captions.json")));
+}
+
+// Secondary locales that have outputs for this pack (the localize stage is optional)
+function variantLocales(outDir, brandContext) {
+  return resolveLocales(brandContext)
+    .slice(1)
+    .filter((locale) => fs.existsSync(path.join(outDir, localeFile("captions.json", locale))));
+}
+
+function localeFiles(locale, postId) {
+  return [
+    localeFile("captions.json", locale),
+    localeFile("editorial_visuals.json", locale),
+    `Editorial_Posts/${locale}/${postId}.png`
+  ];
+}
+
+function platformCaptionsFile(platform) {
+  return `Platforms/${platform}/captions.json`;
+}
+
+function platformImageFile(platform, postId) {
+  return `Platforms/${platform}/Editorial_Posts/${postId}.png`;
+}
+
+function replaceById(list, item) {
+  const idx = list.findIndex((x) => x.id === item.id);
+  if (idx === -1) list.push(item);
+  else list[idx] = item;
+  return list;
+}
+
+async function regeneratePost(job, post, target, feedback) {
+  const outDir = path.join(OUTPUTS_DIR, job.id);
+  const brandContext = jobBrandContext(job);
+  const provider = providerForJob(job);
+  const planJson = readJsonFile(path.join(outDir, "content_plan.json"));
+  const captionsJson = readJsonFile(path.join(outDir, "captions.json"), { captions: [] });
+  const visualsJson = readJsonFile(path.join(outDir, "editorial_visuals.json"), { editorial_visuals: [] });
+  const compiledJson = readJsonFile(path.join(outDir, "editorial_visuals_compiled.json"), {
+    editorial_visuals: []
+  });
+  const brandStyle = readJsonFile(path.join(outDir, "brand_style.json")) || resolveBrandStyle(brandContext, job.workspace_id);
+  // Packs from before prompt templates ran on the built-in prompts
+  const templates = readJsonFile(path.join(outDir, "prompt_templates.json"), DEFAULT_PROMPT_TEMPLATES);
+  const onePlan = singlePostPlan(planJson, post);
+  const primaryPlatform = resolvePlatforms(brandContext)[0];
+  const extraPlatforms = variantPlatforms(outDir, brandContext);
+  const extraLocales = variantLocales(outDir, brandContext);
+
+  let revision;
+  let result;
+
+  // Every platform's caption is regenerated before anything is written, so a failed call changes nothing
+  if (target === "caption") {
+    const current = captionsJson.captions.find((c) => c.id === post.id);
+    const regenerated = {};
+    for (const platform of [primaryPlatform, ...extraPlatforms]) {
+      const { data } = await callOpenAIJsonValidated(
+        provider,
+        platform === primaryPlatform ? "captions" : `captions_${platform}`,
+        withFeedback(promptCaptions(brandContext, onePlan, platform, templates), feedback),
+        (json) => validateCaptionsJson(json, onePlan, platform)
+      );
+      regenerated[platform] = data.captions[0];
+    }
+    revision = archiveVersion(job, outDir, post.id, target, current);
+    result = regenerated[primaryPlatform];
+    replaceById(captionsJson.captions, result);
+    writeJsonFile(path.join(outDir, "captions.json"), captionsJson);
+
+    for (const platform of extraPlatforms) {
+      const platformPath = path.join(platformDir(outDir, platform), "captions.json");
+      writeJsonFile(platformPath, {
+        captions: replaceById(readJsonFile(platformPath).captions, regenerated[platform])
+      });
+      refreshComplianceReport(outDir, brandContext, post.id, regenerated[platform], platform);
+    }
+    clearStale(job, post.id, extraPlatforms.map(platformCaptionsFile));
+  }
+
+  if (target === "editorial_brief") {
+    const current = visualsJson.editorial_visuals.find((v) => v.id === post.id);
+    const oneCaption = { captions: captionsJson.captions.filter((c) => c.id === post.id) };
+    const { data } = await callOpenAIJsonValidated(
+      provider,
+      "editorial_visuals",
+      withFeedback(promptEditorialVisuals(brandContext, onePlan, oneCaption, templates), feedback),
+      (json) => validateEditorialVisualsJson(json, onePlan)
+    );
+    revision = archiveVersion(job, outDir, post.id, target, current);
+    const brief = data.editorial_visuals[0];
+    result = { ...brief, ...compileEditorialPrompt(brandStyle, brief, primaryPlatform, templates) };
+    replaceById(visualsJson.editorial_visuals, brief);
+    replaceById(compiledJson.editorial_visuals, result);
+    writeJsonFile(path.join(outDir, "editorial_visuals.json"), visualsJson);
+    writeJsonFile(path.join(outDir, "editorial_visuals_compiled.json"), compiledJson);
+
+    // New headline/subtext on the existing background; the old render is kept with the brief version
+    const imagePath = path.join(outDir, "Editorial_Posts", `${post.id}.png`);
+    const backgroundPath = path.join(outDir, "Editorial_Posts", "backgrounds", `${post.id}.png`);
+    if (fs.existsSync(backgroundPath)) {
+      if (fs.existsSync(imagePath)) {
+        fs.copyFileSync(imagePath, path.join(outDir, revision.archived.replace(/\.json$/, ".png")));
+      }
+      await writeEditorialOverlay(
+        backgroundPath,
+        imagePath,
+        { ...result, brandStyle },
+        PLATFORM_SPECS[primaryPlatform]
+      );
+      result.image = path.relative(outDir, imagePath);
+      result.visual_qa = await refreshVisualQa(outDir, result, brandStyle, PLATFORM_SPECS[primaryPlatform]);
+    }
+
+    // The other platforms' renders keep their own backgrounds and only take the new headline
+    await refreshPlatformImages(job, outDir, post.id, extraPlatforms, (platform, outPath) =>
+      writeEditorialOverlay(
+        path.join(path.dirname(outPath), "backgrounds", `${post.id}.png`),
+        outPath,
+        { ...result, brandStyle },
+        PLATFORM_SPECS[platform]
+      )
+    );
+  }
+
+  if (target === "image") {
+    const compiled = compiledJson.editorial_visuals.find((v) => v.id === post.id);
+    if (!compiled) throw new Error(`No compiled editorial brief for ${post.id}`);
+
+    const imagePath = path.join(outDir, "Editorial_Posts", `${post.id}.png`);
+    const current = fs.existsSync(imagePath) ? fs.readFileSync(imagePath) : Buffer.alloc(0);
+    await generateEditorialImage(provider, withFeedback(compiled.image_prompt, feedback), imagePath, {
+      ...PLATFORM_SPECS[primaryPlatform],
+      overlay: { ...compiled, brandStyle }
+    });
+    revision = archiveVersion(job, outDir, post.id, target, current, "png");
+    result = {
+      id: post.id,
+      image: path.relative(outDir, imagePath),
+      visual_qa: await refreshVisualQa(outDir, compiled, brandStyle, PLATFORM_SPECS[primaryPlatform])
+    };
+
+    const brief = visualsJson.editorial_visuals.find((v) => v.id === post.id) || compiled;
+    await refreshPlatformImages(job, outDir, post.id, extraPlatforms, (platform, outPath) =>
+      generateEditorialImage(
+        provider,
+        withFeedback(compileEditorialPrompt(brandStyle, brief, platform, templates).image_prompt, feedback),
+        outPath,
+        { ...PLATFORM_SPECS[platform], overlay: { ...brief, brandStyle } }
+      )
+    );
+  }
+
+  if (target === "product_brief") {
+    const briefsPath = path.join(outDir, "product_model_briefs.json");
+    const briefsJson = readJsonFile(briefsPath, { product_visuals: [] });
+    const current = briefsJson.product_visuals.find((b) => b.id === post.id);
+    result = compileProductModelBrief(brandStyle, post, brandContext);
+    if (feedback) {
+      result.variants = result.variants.map((v) => ({ ...v, prompt: withFeedback(v.prompt, feedback) }));
+      result.feedback = feedback;
+    }
+    revision = archiveVersion(job, outDir, post.id, target, current);
+    replaceById(briefsJson.product_visuals, result);
+    writeJsonFile(briefsPath, briefsJson);
+  }
+
+  // Secondary locales are adapted from the primary caption and headline; after a new background
+  // their renders only need the stored localized headline typeset again
+  if (target === "caption" || target === "editorial_brief") {
+    const localizeContext = { provider, brandContext, onePlan, platform: primaryPlatform, brandStyle };
+    for (const locale of extraLocales) await relocalizePost(job, outDir, post, locale, localizeContext);
+  }
+  if (target === "image") {
+    for (const locale of extraLocales) {
+      await retypesetLocaleImage(job, outDir, post.id, locale, brandStyle, primaryPlatform);
+    }
+  }
+
+  if (target === "caption") {
+    const compliance = refreshComplianceReport(outDir, brandContext, post.id, result, primaryPlatform);
+    result = { ...result, compliance };
+    writeScheduleExports(job.id, outDir);
+  }
+
+  job.revisions = [
+    ...(job.revisions || []),
+    { post_id: post.id, target, feedback: feedback || "", createdAt: Date.now(), ...revision }
+  ];
+  // A regenerated post has to be signed off again
+  if (reviewStatus(job, post.id) === "approved") setReviewStatus(job, post.id, "pending");
+  jobs.set(job.id, job);
+  saveJobToFile(job);
+
+  return {
+    target,
+    post_id: post.id,
+    version: revision.version + 1,
+    archived: revision.archived,
+    result,
+    stale: job.stale?.[post.id] || []
+  };
+}
+
+// Re-runs the localize step for one post; a failed call flags that locale's files stale
+async function relocalizePost(job, outDir, post, locale, { provider, brandContext, onePlan, platform, brandStyle }) {
+  const files = localeFiles(locale, post.id);
+  const captionsPath = path.join(outDir, files[0]);
+  const visualsPath = path.join(outDir, files[1]);
+  const caption = readJsonFile(path.join(outDir, "captions.json")).captions.find((c) => c.id === post.id);
+  const visuals = readJsonFile(path.join(outDir, "editorial_visuals.json"), { editorial_visuals: [] })
+    .editorial_visuals.filter((v) => v.id === post.id);
+
+  try {
+    const { data } = await callOpenAIJsonValidated(
+      provider,
+      `localize_${locale}`,
+      promptLocalize(brandContext, { captions: [caption] }, { editorial_visuals: visuals }, locale, platform),
+      (json) => validateLocalizedJson(json, onePlan, platform)
+    );
+    const [localizedCaption] = data.captions;
+    const [localizedVisual] = data.editorial_visuals;
+    writeJsonFile(captionsPath, {
+      captions: replaceById(readJsonFile(captionsPath).captions, localizedCaption)
+    });
+    const visualsJson = readJsonFile(visualsPath, { editorial_visuals: [] });
+    writeJsonFile(visualsPath, { editorial_visuals: replaceById(visualsJson.editorial_visuals, localizedVisual) });
+    refreshComplianceReport(outDir, brandContext, post.id, localizedCaption, platform, locale);
+    clearStale(job, post.id, files.slice(0, 2));
+  } catch (err) {
+    console.error(`Re-localizing ${post.id} (${locale}) for ${job.id} failed:`, err.message);
+    markStale(job, post.id, files);
+    return;
+  }
+  await retypesetLocaleImage(job, outDir, post.id, locale, brandStyle, platform);
+}
+
+// Typesets the stored localized headline over the primary background again
+async function retypesetLocaleImage(job, outDir, postId, locale, brandStyle, platform) {
+  const file = localeFiles(locale, postId)[2];
+  const outPath = path.join(outDir, file);
+  const backgroundPath = path.join(outDir, "Editorial_Posts", "backgrounds", `${postId}.png`);
+  if (!fs.existsSync(outPath) || !fs.existsSync(backgroundPath)) return;
+
+  const visual = readJsonFile(path.join(outDir, "editorial_visuals_compiled.json"), { editorial_visuals: [] })
+    .editorial_visuals.find((v) => v.id === postId);
+  const localized = readJsonFile(path.join(outDir, localeFile("editorial_visuals.json", locale)), {
+    editorial_visuals: []
+  }).editorial_visuals.find((v) => v.id === postId);
+  try {
+    const { headline, subtext = "" } = localized;
+    await writeEditorialOverlay(
+      backgroundPath,
+      outPath,
+      { ...visual, headline, subtext, brandStyle },
+      PLATFORM_SPECS[platform]
+    );
+    clearStale(job, postId, [file]);
+  } catch (err) {
+    console.error(`Re-rendering ${file} for ${job.id} failed:`, err.message);
+    markStale(job, postId, [file]);
+  }
+}
+
+// Re-renders a post on each secondary platform that has a render; one that fails is flagged stale
+// instead of failing the regeneration, since the primary image is already replaced
+async function refreshPlatformImages(job, outDir, postId, platforms, render) {
+  for (const platform of platforms) {
+    const file = platformImageFile(platform, postId);
+    if (!fs.existsSync(path.join(outDir, file))) continue;
+    try {
+      await render(platform, path.join(outDir, file));
+      clearStale(job, postId, [file]);
+    } catch (err) {
+      console.error(`Re-rendering ${file} for ${job.id} failed:`, err.message);
+      markStale(job, postId, [file]);
+    }
+  }
+}
+
+// ---------------------- Post review ----------------------
+// job.review[postId] = { status, updatedAt, by }; posts without an entry are pending.
+// The delivered ZIP (and the exports inside it) only carries approved posts.
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const CAPTION_EDIT_FIELDS = ["caption", "hook", "cta", "alt_text"];
+
+function reviewStatus(job, postId) {
+  return job.review?.[postId]?.status || "pending";
+}
+
+function setReviewStatus(job, postId, status, by = null) {
+  job.review = { ...(job.review || {}), [postId]: { status, updatedAt: Date.now(), by } };
+}
+
+function approvedPostIds(job) {
+  return new Set(
+    Object.entries(job.review || {})
+      .filter(([, r]) => r.status === "approved")
+      .map(([id]) => id)
+  );
+}
+
+function summarizeReview(job, posts) {
+  const summary = Object.fromEntries(REVIEW_STATUSES.map((s) => [s, 0]));
+  for (const p of posts) summary[reviewStatus(job, p.id)]++;
+  return summary;
+}
+
+// One card per planned post: what a client signs off on
+function reviewPosts(job) {
+  const outDir = path.join(OUTPUTS_DIR, job.id);
+  const primaryPlatform = resolvePlatforms(job.input)[0];
+  const posts = readJsonFile(path.join(outDir, "content_plan.json"))?.plan?.posts || [];
+  const captions = readJsonFile(path.join(outDir, "captions.json"), { captions: [] }).captions;
+  const visuals = readJsonFile(path.join(outDir, "editorial_visuals.json"), { editorial_visuals: [] })
+    .editorial_visuals;
+  const compliance = readJsonFile(path.join(outDir, "compliance_report.json"), { posts: [] }).posts;
+  const repeats = readJsonFile(path.join(outDir, "topic_memory.json"), { repeats: [] }).repeats;
+  const formats = readJsonFile(path.join(outDir, "formats.json"), { formats: [] }).formats;
+  const visualQa = readJsonFile(path.join(outDir, "visual_qa.json"), { images: [] }).images;
+
+  return posts.map((p) => {
+    const caption = captions.find((c) => c.id === p.id) || {};
+    const visual = visuals.find((v) => v.id === p.id) || {};
+    const format = formats.find((f) => f.id === p.id);
+    const qa = visualQa.find((q) => q.id === p.id);
+    return {
+      id: p.id,
+      post_type: p.post_type,
+      visual_mode: p.visual_mode,
+      recommended_format: p.recommended_format,
+      topic: p.topic,
+      publish_date: p.publish_date || null,
+      publish_time: p.publish_time || null,
+      headline: visual.headline || "",
+      subtext: visual.subtext || "",
+      caption: caption.caption || "",
+      hook: caption.hook || "",
+      cta: caption.cta || "",
+      alt_text: caption.alt_text || "",
+      image: postImagePath(p),
+      format_assets: format ? formatAssetPaths(format) : [],
+      compliance: compliance.find((c) => c.id === p.id && c.platform === primaryPlatform)?.status || null,
+      topic_repeat: repeats.find((r) => r.id === p.id) || null,
+      visual_qa: qa ? { score: qa.score, passed: qa.passed, issues: qa.issues } : null,
+      stale: job.stale?.[p.id] || [],
+      review: job.review?.[p.id] || { status: "pending" }
+    };
+  });
+}
+
+// Manual caption edit: same validation and versioning as a regenerated caption
+function editCaption(job, post, fields) {
+  const outDir = path.join(OUTPUTS_DIR, job.id);
+  const primaryPlatform = resolvePlatforms(job.input)[0];
+  const planJson = readJsonFile(path.join(outDir, "content_plan.json"));
+  const captionsPath = path.join(outDir, "captions.json");
+  const captionsJson = readJsonFile(captionsPath, { captions: [] });
+  const current = captionsJson.captions.find((c) => c.id === post.id);
+  const updated = { ...current, id: post.id, ...fields };
+
+  const errors = validateCaptionsJson({ captions: [updated] }, singlePostPlan(planJson, post), primaryPlatform);
+  if (errors.length) return { errors };
+
+  const revision = archiveVersion(job, outDir, post.id, "caption", current);
+  replaceById(captionsJson.captions, updated);
+  writeJsonFile(captionsPath, captionsJson);
+  const compliance = refreshComplianceReport(outDir, job.input, post.id, updated, primaryPlatform);
+  writeScheduleExports(job.id, outDir);
+  // Other platforms' and locales' captions are written separately; regenerating the caption refreshes them
+  markStale(job, post.id, [
+    ...variantPlatforms(outDir, job.input).map(platformCaptionsFile),
+    ...variantLocales(outDir, job.input).map((locale) => localeFile("captions.json", locale))
+  ]);
+
+  job.revisions = [
+    ...(job.revisions || []),
+    { post_id: post.id, target: "caption", source: "edit", feedback: "", createdAt: Date.now(), ...revision }
+  ];
+  return { caption: updated, compliance };
+}
+
+// outDir-relative, "/"-separated paths of every file under dir
+function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), rel) : [rel];
+  });
+}
+
+// Post a media file belongs to: Editorial_Posts/backgrounds/P03.png, Product_Posts/P05_B.png, versions/P02/...,
+// Carousels/P02/slide_01.png, Reels/P03.txt
+function mediaPostId(rel) {
+  const parts = rel.split("/");
+  if (parts[0] === "versions") return parts[1];
+  if (Object.values(FORMAT_DIRS).includes(parts[0])) return parts[1].split(".")[0];
+  if (parts.includes("Editorial_Posts") || parts.includes("Product_Posts")) return parts.at(-1).split(/[._]/)[0];
+  return null;
+}
+
+const filterById = (items, ids) => (items || []).filter((item) => ids.has(item.id));
+
+// JSON outputs that list posts (matched by file name, so Platforms/*/captions.json too)
+const PACK_JSON_FILTERS = {
+  "content_plan.json": (json, ids) => ({ ...json, plan: { ...json.plan, posts: filterById(json.plan?.posts, ids) } }),
+  "captions.json": (json, ids) => ({ ...json, captions: filterById(json.captions, ids) }),
+  "editorial_visuals.json": (json, ids) => ({ ...json, editorial_visuals: filterById(json.editorial_visuals, ids) }),
+  "editorial_visuals_compiled.json": (json, ids) => ({
+    ...json,
+    editorial_visuals: filterById(json.editorial_visuals, ids)
+  }),
+  "product_model_briefs.json": (json, ids) => ({ ...json, product_visuals: filterById(json.product_visuals, ids) }),
+  "formats.json": (json, ids) => ({ ...json, formats: filterById(json.formats, ids) }),
+  "compliance_report.json": (json, ids) => {
+    const posts = filterById(json.posts, ids);
+    return { ...json, summary: summarizeCompliance(posts), rewrites: filterById(json.rewrites, ids), posts };
+  },
+  "visual_qa.json": (json, ids) => {
+    const images = filterById(json.images, ids);
+    return { ...json, summary: summarizeVisualQa(images), images };
+  },
+  "topic_memory.json": (json, ids) => ({ ...json, repeats: filterById(json.repeats, ids) }),
+  // Repair errors quote posts by index and content, so only each stage's outcome is kept
+  "validation_report.json": (json) => ({
+    stages: (json.stages || []).map(({ stage, valid, attempts = [] }) => ({
+      stage,
+      valid,
+      repair_turns: Math.max(0, attempts.length - 1)
+    }))
+  })
+};
+
+// Brand- and job-level files copied into the approved-only pack as they are; anything neither listed
+// here nor owned by a post (mediaPostId) nor filtered (PACK_JSON_FILTERS) is left out
+const PACK_SHARED_FILES = ["brand_context.json", "brand_style.json", "prompt_templates.json", "performance_insights.json"];
+const PACK_SHARED_DIRS = ["Product_Images/", "Brand_Guide/"];
+
+// [{ name, file } | { name, content }] for the approved-only pack
+function approvedPackEntries(job, outDir) {
+  const ids = approvedPostIds(job);
+  const entries = [];
+
+  for (const rel of listFiles(outDir)) {
+    if (SCHEDULE_EXPORT_FILES.includes(rel)) continue;
+
+    const postId = mediaPostId(rel);
+    if (postId) {
+      if (ids.has(postId)) entries.push({ name: rel, file: path.join(outDir, rel) });
+      continue;
+    }
+
+    // captions.es.json filters like captions.json
+    const filter = PACK_JSON_FILTERS[path.posix.basename(rel).replace(/\.[a-z]{2,3}(-[A-Z]{2})?\.json$/, ".json")];
+    if (filter) {
+      const json = readJsonFile(path.join(outDir, rel));
+      if (json) entries.push({ name: rel, content: JSON.stringify(filter(json, ids), null, 2) });
+      continue;
+    }
+
+    if (PACK_SHARED_FILES.includes(rel) || PACK_SHARED_DIRS.some((dir) => rel.startsWith(dir))) {
+      entries.push({ name: rel, file: path.join(outDir, rel) });
+    }
+  }
+
+  const rows = buildScheduleRows(outDir).filter((r) => ids.has(r.id));
+  for (const [name, content] of Object.entries(scheduleExportFiles(job.id, rows))) {
+    entries.push({ name, content });
+  }
+  return entries;
+}
+
+// ---------------------- Workspaces + auth ----------------------
+// workspaces/<id>/workspace.json holds the workspace's users (scrypt password hashes) and API keys
+// (sha256 hashes). Jobs, brand profiles and outputs carry the workspace id and are only served to it.
+const workspaces = new Map();
+
+function workspacePath(workspaceId) {
+  return path.join(WORKSPACES_DIR, workspaceId, "workspace.json");
+}
+
+function saveWorkspace(workspace) {
+  workspaces.set(workspace.id, workspace);
+  writeJsonFile(workspacePath(workspace.id), workspace);
+}
+
+// Workspace profiles and metrics used to be written to brands/<workspaceId>/
+function moveLegacyBrandsDir(workspaceId) {
+  const legacyDir = path.join(BRANDS_DIR, workspaceId);
+  if (!fs.existsSync(legacyDir) || fs.existsSync(workspaceBrandsDir(workspaceId))) return;
+  fs.cpSync(legacyDir, workspaceBrandsDir(workspaceId), { recursive: true });
+  fs.rmSync(legacyDir, { recursive: true, force: true });
+  console.log(`Moved ${legacyDir} to ${workspaceBrandsDir(workspaceId)}`);
+}
+
+function loadWorkspaces() {
+  if (!fs.existsSync(WORKSPACES_DIR)) return;
+  for (const id of fs.readdirSync(WORKSPACES_DIR)) {
+    const workspace = readJsonFile(workspacePath(id));
+    if (!workspace) continue;
+    workspaces.set(id, workspace);
+    moveLegacyBrandsDir(id);
+  }
+  console.log(`Loaded ${workspaces.size} workspaces from disk`);
+}
+
+loadWorkspaces();
+
+// Random per process outside production (see Start), so sessions and links end with a restart
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+
+function hmac(value) {
+  return crypto.createHmac("sha256", AUTH_SECRET).update(value).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return { salt, hash: crypto.scryptSync(password, salt, 64).toString("hex") };
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function findUserByEmail(email) {
+  const needle = String(email || "").trim().toLowerCase();
+  for (const workspace of workspaces.values()) {
+    const user = workspace.users.find((u) => u.email === needle);
+    if (user) return { workspace, user };
+  }
+  return null;
+}
+
+function publicUser(user) {
+  const { password, ...rest } = user;
+  return rest;
+}
+
+function publicApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+function validateCredentials({ email, password } = {}) {
+  const errors = [];
+  if (typeof email !== "string" || !/^[^@\s]+@[^@\s]+$/.test(email.trim())) errors.push("email is invalid");
+  if (typeof password !== "string" || password.length < 8) errors.push("password must be at least 8 characters");
+  return errors;
+}
+
+function createUser({ email, password, role }) {
+  return {
+    id: uuidv4(),
+    email: email.trim().toLowerCase(),
+    role,
+    password: hashPassword(password),
+    createdAt: Date.now()
+  };
+}
+
+// Failed logins per client IP and per email; once either reaches LOGIN_MAX_FAILURES within LOGIN_WINDOW_S,
+// logins for it are refused until the window runs out
+const loginFailures = new Map();
+
+function loginKeys(req, email) {
+  return [`ip:${req.ip}`, `email:${String(email || "").trim().toLowerCase()}`];
+}
+
+// Seconds until a login for these keys is allowed again (0 = now)
+function loginRetryAfter(keys) {
+  const now = Date.now();
+  let wait = 0;
+  for (const key of keys) {
+    const entry = loginFailures.get(key);
+    if (entry && entry.resetAt <= now) loginFailures.delete(key);
+    else if (entry?.count >= LOGIN_MAX_FAILURES) wait = Math.max(wait, entry.resetAt - now);
+  }
+  return Math.ceil(wait / 1000);
+}
+
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) if (entry.resetAt <= now) loginFailures.delete(key);
+  for (const key of keys) {
+    const entry = loginFailures.get(key);
+    if (entry) entry.count++;
+    else loginFailures.set(key, { count: 1, resetAt: now + LOGIN_WINDOW_S * 1000 });
+  }
+}
+
+// Only the named cookie is decoded: other apps on the domain may set cookies that aren't valid URI encoding
+function readCookie(header = "", name) {
+  for (const pair of header.split(";")) {
+    const [key, ...value] = pair.trim().split("=");
+    if (key !== name || !value.length) continue;
+    try {
+      return decodeURIComponent(value.join("="));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Stateless session cookie: base64url({ w, u, exp }).<hmac>
+function issueSession(res, req, workspaceId, userId) {
+  const exp = Date.now() + SESSION_TTL_S * 1000;
+  const payload = Buffer.from(JSON.stringify({ w: workspaceId, u: userId, exp })).toString("base64url");
+  const secure = req.secure ? "; Secure" : "";
+  res.setHeader(
+    "Set-Cookie",
+    `${SESSION_COOKIE}=${payload}.${hmac(payload)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_S}${secure}`
+  );
+}
+
+function readSession(req) {
+  const [payload, sig] = (readCookie(req.headers.cookie, SESSION_COOKIE) || "").split(".");
+  if (!payload || !sig || !safeEqual(sig, hmac(payload))) return null;
+  try {
+    const { w, u, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const user = workspaces.get(w)?.users.find((x) => x.id === u);
+    if (!user || exp < Date.now()) return null;
+    return { workspaceId: w, userId: u, role: user.role };
+  } catch {
+    return null;
+  }
+}
+
+// "Authorization: Bearer sc_..." or "X-API-Key: sc_..."
+function readApiKey(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+  const presented = bearer || req.headers["x-api-key"];
+  if (!presented) return null;
+
+  const hash = sha256(presented);
+  for (const workspace of workspaces.values()) {
+    const key = workspace.api_keys.find((k) => safeEqual(k.hash, hash));
+    if (!key) continue;
+    // lastUsedAt is informational; don't rewrite workspace.json on every request
+    if (Date.now() - (key.lastUsedAt || 0) > 60 * 1000) {
+      key.lastUsedAt = Date.now();
+      saveWorkspace(workspace);
+    }
+    return { workspaceId: workspace.id, apiKeyId: key.id, role: "member" };
+  }
+  return null;
+}
+
+function authenticate(req) {
+  return readApiKey(req) || readSession(req);
+}
 
-  if (!fs.existsSync(outDir)) {
+function requireAuth(req, res, next) {
+  req.auth = authenticate(req);
+  if (!req.auth) return res.status(401).json({ error: "Authentication required" });
+  next();
+}
+
+function requireOwner(req, res, next) {
+  if (req.auth?.role !== "owner") return res.status(403).json({ error: "Only workspace owners can do this" });
+  next();
+}
+
+// Jobs from other workspaces are reported as missing rather than forbidden
+function findWorkspaceJob(jobId, workspaceId) {
+  let job = jobs.get(jobId);
+  if (!job) {
+    job = loadJobFromFile(jobId);
+    if (job) jobs.set(jobId, job);
+  }
+  return job && job.workspace_id === workspaceId ? job : null;
+}
+
+// Signed, expiring download links: ?expires=<unix s>&sig=hmac("<jobId>:<expires>")
+function signDownload(jobId, ttlSeconds = DOWNLOAD_LINK_TTL_S) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return { expires, query: `expires=${expires}&sig=${hmac(`${jobId}:${expires}`)}` };
+}
+
+function verifyDownload(jobId, { expires, sig } = {}) {
+  if (!expires || !sig || Number(expires) < Date.now() / 1000) return false;
+  return safeEqual(sig, hmac(`${jobId}:${expires}`));
+}
+
+function withDownloadLinks(job) {
+  const { expires, query } = signDownload(job.id);
+  return {
+    ...job,
+    downloadUrl: job.downloadUrl && `${job.downloadUrl}?${query}`,
+    downloads: {
+      query,
+      expiresAt: expires * 1000,
+      zip: `/downloads/${job.id}.zip?${query}`
+    }
+  };
+}
+
+// A valid signature or a logged-in member of the owning workspace
+function requireDownloadAccess(req, res, next) {
+  const { jobId } = req.params;
+  if (verifyDownload(jobId, req.query)) return next();
+
+  const auth = authenticate(req);
+  if (auth && findWorkspaceJob(jobId, auth.workspaceId)) return next();
+  res.status(403).json({ error: "Download link is invalid or has expired" });
+}
+
+// The first workspace can always be created; after that only with ALLOW_SIGNUP=true
+app.post("/api/auth/signup", (req, res) => {
+  if (workspaces.size > 0 && process.env.ALLOW_SIGNUP !== "true") {
+    return res.status(403).json({ error: "Signup is closed; ask a workspace owner to add you" });
+  }
+  const { workspace_name } = req.body || {};
+  const errors = validateCredentials(req.body);
+  if (!workspace_name || typeof workspace_name !== "string") errors.push("workspace_name is required");
+  if (errors.length) return res.status(400).json({ error: "Invalid signup", details: errors });
+  if (findUserByEmail(req.body.email)) return res.status(409).json({ error: "Email is already registered" });
+
+  const owner = createUser({ ...req.body, role: "owner" });
+  const workspace = {
+    id: uuidv4(),
+    name: workspace_name.trim(),
+    users: [owner],
+    api_keys: [],
+    createdAt: Date.now()
+  };
+  saveWorkspace(workspace);
+  issueSession(res, req, workspace.id, owner.id);
+  res.status(201).json({ workspace: { id: workspace.id, name: workspace.name }, user: publicUser(owner) });
+});
+
+app.post("/api/auth/login", (req, res) => {
+  const { email, password } = req.body || {};
+  const keys = loginKeys(req, email);
+  const retryAfter = loginRetryAfter(keys);
+  if (retryAfter) {
+    res.setHeader("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: `Too many failed logins; try again in ${retryAfter}s` });
+  }
+
+  const found = findUserByEmail(email);
+  const valid =
+    found &&
+    typeof password === "string" &&
+    safeEqual(hashPassword(password, found.user.password.salt).hash, found.user.password.hash);
+  if (!valid) {
+    recordLoginFailure(keys);
+    return res.status(401).json({ error: "Invalid email or password" });
+  }
+
+  loginFailures.delete(keys[1]);
+  issueSession(res, req, found.workspace.id, found.user.id);
+  res.json({ workspace: { id: found.workspace.id, name: found.workspace.name }, user: publicUser(found.user) });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const user = workspace.users.find((u) => u.id === req.auth.userId);
+  res.json({
+    workspace: { id: workspace.id, name: workspace.name },
+    user: user ? publicUser(user) : null,
+    api_key_id: req.auth.apiKeyId || null
+  });
+});
+
+// Everything else under /api needs a session or an API key
+app.use("/api", requireAuth);
+
+app.get("/api/workspace/users", (req, res) => {
+  res.json({ users: workspaces.get(req.auth.workspaceId).users.map(publicUser) });
+});
+
+// Body: { email, password, role?: "owner"|"member" }
+app.post("/api/workspace/users", requireOwner, (req, res) => {
+  const role = req.body?.role || "member";
+  const errors = validateCredentials(req.body);
+  if (!["owner", "member"].includes(role)) errors.push('role must be "owner" or "member"');
+  if (errors.length) return res.status(400).json({ error: "Invalid user", details: errors });
+  if (findUserByEmail(req.body.email)) return res.status(409).json({ error: "Email is already registered" });
+
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const user = createUser({ ...req.body, role });
+  workspace.users.push(user);
+  saveWorkspace(workspace);
+  res.status(201).json(publicUser(user));
+});
+
+app.get("/api/workspace/api-keys", (req, res) => {
+  res.json({ api_keys: workspaces.get(req.auth.workspaceId).api_keys.map(publicApiKey) });
+});
+
+// The plaintext key is only returned here; we keep its sha256
+app.post("/api/workspace/api-keys", requireOwner, (req, res) => {
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const secret = `sc_${crypto.randomBytes(24).toString("base64url")}`;
+  const key = {
+    id: uuidv4(),
+    name: String(req.body?.name || "API key").slice(0, 80),
+    prefix: secret.slice(0, 10),
+    hash: sha256(secret),
+    createdAt: Date.now(),
+    lastUsedAt: null
+  };
+  workspace.api_keys.push(key);
+  saveWorkspace(workspace);
+  res.status(201).json({ ...publicApiKey(key), key: secret });
+});
+
+// Spend per job for a month (default: current), plus the budget
+app.get("/api/workspace/usage", (req, res) => {
+  const month = req.query.month || monthOf(Date.now());
+  if (!/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: "month must be YYYY-MM" });
+
+  const packs = [...jobs.values()]
+    .filter((j) => j.workspace_id === req.auth.workspaceId)
+    .map((j) => {
+      const calls = (j.usage?.calls || []).filter((c) => monthOf(c.at) === month);
+      return { id: j.id, brand: j.input?.brand?.name || null, status: j.status, createdAt: j.createdAt, calls };
+    })
+    .filter((j) => j.calls.length)
+    .map(({ calls, ...j }) => ({ ...j, ...calls.reduce(addUsage, emptyUsageTotals()) }));
+
+  res.json({
+    month,
+    spent_usd: workspaceSpend(req.auth.workspaceId, month),
+    budget: budgetStatus(req.auth.workspaceId),
+    jobs: packs
+  });
+});
+
+// Body: { monthly_usd, on_exceed: "reject"|"pause" }, or null to remove the budget
+app.put("/api/workspace/budget", requireOwner, (req, res) => {
+  const budget = req.body?.budget === null ? null : req.body;
+  const errors = validateBudget(budget);
+  if (errors.length) return res.status(400).json({ error: "Invalid budget", details: errors });
+
+  const workspace = workspaces.get(req.auth.workspaceId);
+  workspace.budget = budget && { monthly_usd: budget.monthly_usd, on_exceed: budget.on_exceed };
+  saveWorkspace(workspace);
+  res.json(budgetStatus(workspace.id));
+});
+
+// Body: { days } — finished packs are deleted that many days after they finish; null falls back to
+// the server default (JOB_RETENTION_DAYS)
+app.put("/api/workspace/retention", requireOwner, (req, res) => {
+  const errors = validateRetention(req.body);
+  if (errors.length) return res.status(400).json({ error: "Invalid retention", details: errors });
+
+  const workspace = workspaces.get(req.auth.workspaceId);
+  workspace.retention = req.body.days === null ? null : { days: req.body.days };
+  saveWorkspace(workspace);
+  res.json({ days: retentionDays(workspace.id), default_days: JOB_RETENTION_DAYS });
+});
+
+app.delete("/api/workspace/api-keys/:keyId", requireOwner, (req, res) => {
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const before = workspace.api_keys.length;
+  workspace.api_keys = workspace.api_keys.filter((k) => k.id !== req.params.keyId);
+  if (workspace.api_keys.length === before) return res.status(404).json({ error: "API key not found" });
+
+  saveWorkspace(workspace);
+  res.json({ deleted: req.params.keyId });
+});
+
+// The signing secret is shown to owners here and when a subscription is created
+app.get("/api/workspace/webhooks", requireOwner, (req, res) => {
+  const workspace = workspaces.get(req.auth.workspaceId);
+  res.json({
+    events: WEBHOOK_EVENTS,
+    signing_secret: ensureWebhookSecret(workspace),
+    webhooks: workspace.webhooks || []
+  });
+});
+
+// Body: { url, events?: ["job.done", ...] } (default: every event)
+app.post("/api/workspace/webhooks", requireOwner, async (req, res) => {
+  const { url, events = WEBHOOK_EVENTS } = req.body || {};
+  if (!Array.isArray(events) || !events.length || events.some((e) => !WEBHOOK_EVENTS.includes(e))) {
+    return res.status(400).json({ error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(", ")}` });
+  }
+  let href;
+  try {
+    href = await validateWebhookUrl(url);
+  } catch (err) {
+    return res.status(400).json({ error: `Invalid webhook url: ${err.message}` });
+  }
+
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const webhook = { id: uuidv4(), url: href, events: [...new Set(events)], createdAt: Date.now() };
+  workspace.webhooks = [...(workspace.webhooks || []), webhook];
+  saveWorkspace(workspace);
+  res.status(201).json({ ...webhook, signing_secret: ensureWebhookSecret(workspace) });
+});
+
+app.delete("/api/workspace/webhooks/:webhookId", requireOwner, (req, res) => {
+  const workspace = workspaces.get(req.auth.workspaceId);
+  const before = (workspace.webhooks || []).length;
+  workspace.webhooks = (workspace.webhooks || []).filter((h) => h.id !== req.params.webhookId);
+  if (workspace.webhooks.length === before) return res.status(404).json({ error: "Webhook not found" });
+
+  saveWorkspace(workspace);
+  res.json({ deleted: req.params.webhookId });
+});
+
+// Newest first; ?job_id=, ?webhook_id=, ?status=pending|delivered|failed, ?limit= (default 50)
+app.get("/api/workspace/webhooks/deliveries", (req, res) => {
+  const { job_id, webhook_id, status } = req.query;
+  const limit = Math.min(WEBHOOK_LOG_LIMIT, Math.max(1, Number(req.query.limit) || 50));
+  const deliveries = deliveriesFor(req.auth.workspaceId)
+    .filter((d) => (!job_id || d.job_id === job_id) && (!webhook_id || d.webhook_id === webhook_id))
+    .filter((d) => !status || d.status === status)
+    .slice(-limit)
+    .reverse();
+  res.json({ deliveries });
+});
+
+// ---------------------- Routes ----------------------
+// Uploaded product photos move from uploads/ into outputs/<jobId>/Product_Images/
+function attachProductImages(jobId, files = []) {
+  const imagesDir = path.join(OUTPUTS_DIR, jobId, "Product_Images");
+  return files.map((file, i) => {
+    const ext = { "image/png": ".png", "image/jpeg": ".jpg", "image/webp": ".webp" }[file.mimetype];
+    const name = `product_${i + 1}${ext}`;
+    ensureDir(imagesDir);
+    // copy + unlink rather than rename: uploads/ and OUTPUTS_DIR may be on different disks
+    fs.copyFileSync(file.path, path.join(imagesDir, name));
+    fs.unlinkSync(file.path);
+    return { path: path.join("Product_Images", name), original_name: file.originalname, mimetype: file.mimetype };
+  });
+}
+
+// Optional brand guide (PDF/HTML/text) -> outputs/<jobId>/Brand_Guide/, read by the ingest stage
+function attachBrandGuide(jobId, file) {
+  if (!file) return null;
+  const ext = { "application/pdf": ".pdf", "text/html": ".html", "text/plain": ".txt", "text/markdown": ".md" }[
+    file.mimetype
+  ];
+  const name = `brand_guide${ext}`;
+  const guideDir = path.join(OUTPUTS_DIR, jobId, "Brand_Guide");
+  ensureDir(guideDir);
+  fs.copyFileSync(file.path, path.join(guideDir, name));
+  fs.unlinkSync(file.path);
+  return { path: path.join("Brand_Guide", name), original_name: file.originalname, mimetype: file.mimetype };
+}
+
+const uploadJobFiles = (req, res, next) =>
+  upload.fields([
+    { name: "product_images", maxCount: 3 },
+    { name: "brand_guide", maxCount: 1 }
+  ])(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    req.productImages = req.files?.product_images || [];
+    req.brandGuide = req.files?.brand_guide?.[0] || null;
+    next();
+  });
+
+// Shared by POST /api/jobs and /api/jobs/estimate; returns { error, details? } or null
+// The brief every job needs; the campaign's other fields all have defaults
+function validateBrief(input) {
+  const errors = [];
+  const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(input.brand) || typeof input.brand.name !== "string" || !input.brand.name.trim()) {
+    errors.push("brand.name is required");
+  }
+  if (!isObject(input.campaign)) errors.push("campaign is required");
+  else if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(String(input.campaign.month || ""))) {
+    errors.push("campaign.month must be YYYY-MM");
+  }
+  return errors;
+}
+
+function jobInputError(input) {
+  const briefErrors = validateBrief(input);
+  if (briefErrors.length) return { error: "Invalid input", details: briefErrors };
+  if (input.provider && !PROVIDER_NAMES.includes(input.provider)) {
+    return { error: `provider must be one of ${PROVIDER_NAMES.join(", ")}` };
+  }
+  const mixErrors = validateCampaignMix(input.campaign);
+  if (mixErrors.length) return { error: "Invalid campaign mix", details: mixErrors };
+  const platformErrors = validatePlatforms(input.campaign);
+  if (platformErrors.length) return { error: "Invalid platforms", details: platformErrors };
+  const localeErrors = validateLocales(input.campaign);
+  if (localeErrors.length) return { error: "Invalid locales", details: localeErrors };
+  const stageErrors = validateStages(input.stages);
+  if (stageErrors.length) return { error: "Invalid stages", details: stageErrors };
+  const scheduleErrors = validateSchedule(input.campaign);
+  if (scheduleErrors.length) return { error: "Invalid schedule", details: scheduleErrors };
+  return null;
+}
+
+// Multipart form field with the job input; null when it isn't a JSON object
+function parseInputJson(raw) {
+  try {
+    const input = JSON.parse(raw);
+    return input && typeof input === "object" && !Array.isArray(input) ? input : null;
+  } catch {
+    return null;
+  }
+}
+
+function discardUploads(req) {
+  for (const file of Object.values(req.files || {}).flat()) fs.rmSync(file.path, { force: true });
+}
+
+// Job record as persisted in jobs/<id>/job.json; uploads are attached by the caller
+function newJob(input, workspaceId = null) {
+  return {
+    id: uuidv4(),
+    status: "queued",
+    progress: 0,
+    input,
+    workspace_id: workspaceId,
+    product_images: [],
+    brand_guide: null,
+    completed_steps: [],
+    createdAt: Date.now()
+  };
+}
+
+// Newest first. Filters: brand (name contains, any case), month (campaign YYYY-MM), status (comma-separated),
+// from / to (created, YYYY-MM-DD inclusive); paged with page (from 1) and per_page (max 100)
+app.get("/api/jobs", (req, res) => {
+  const { brand, month, status, from, to } = req.query;
+  const statuses = status ? String(status).split(",").map((s) => s.trim()) : [];
+  const dayStart = (date) => (/^\d{4}-\d{2}-\d{2}$/.test(date) ? Date.parse(`${date}T00:00:00Z`) : NaN);
+  const errors = [];
+  if (month && !/^\d{4}-\d{2}$/.test(month)) errors.push("month must be YYYY-MM");
+  if (statuses.some((s) => !JOB_STATUSES.includes(s))) errors.push(`status must be one of ${JOB_STATUSES.join(", ")}`);
+  if (from && Number.isNaN(dayStart(from))) errors.push("from must be YYYY-MM-DD");
+  if (to && Number.isNaN(dayStart(to))) errors.push("to must be YYYY-MM-DD");
+  if (errors.length) return res.status(400).json({ error: "Invalid filters", details: errors });
+
+  const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+  const perPage = Math.min(100, Math.max(1, Number.parseInt(req.query.per_page, 10) || JOBS_PER_PAGE));
+  const matches = [...jobs.values()]
+    .filter((j) => j.workspace_id === req.auth.workspaceId)
+    .filter((j) => !brand || (j.input?.brand?.name || "").toLowerCase().includes(String(brand).toLowerCase()))
+    .filter((j) => !month || j.input?.campaign?.month === month)
+    .filter((j) => !statuses.length || statuses.includes(j.status))
+    .filter((j) => !from || j.createdAt >= dayStart(from))
+    .filter((j) => !to || j.createdAt < dayStart(to) + DAY_MS)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  res.json({
+    jobs: matches.slice((page - 1) * perPage, page * perPage).map(jobSummary),
+    page,
+    per_page: perPage,
+    total: matches.length,
+    pages: Math.ceil(matches.length / perPage),
+    retention_days: retentionDays(req.auth.workspaceId)
+  });
+});
+
+// callback_url (form field or input_json.callback_url) receives this job's webhook events
+app.post("/api/jobs", uploadJobFiles, async (req, res) => {
+  const input = parseInputJson(req.body.input_json || "{}");
+  if (!input) {
+    discardUploads(req);
+    return res.status(400).json({ error: "input_json must be a JSON object" });
+  }
+  const inputError = jobInputError(input);
+  if (inputError) {
+    discardUploads(req);
+    return res.status(400).json(inputError);
+  }
+  let callbackUrl = null;
+  if (req.body.callback_url || input.callback_url) {
+    try {
+      callbackUrl = await validateWebhookUrl(req.body.callback_url || input.callback_url);
+    } catch (err) {
+      discardUploads(req);
+      return res.status(400).json({ error: `Invalid callback_url: ${err.message}` });
+    }
+  }
+
+  // A job that would take the workspace over budget is rejected or parked, per workspace.budget.
+  // Estimating also resolves the provider, which fails when it isn't configured on this server.
+  let estimate;
+  try {
+    estimate = estimateJobCost(input, req.productImages.length, Boolean(req.brandGuide));
+  } catch (err) {
+    discardUploads(req);
+    if (err.code !== "provider_unavailable") throw err;
+    return res.status(400).json({ error: err.message });
+  }
+  const budget = budgetStatus(req.auth.workspaceId);
+  const overBudget = budget.remaining_usd !== null && estimate.totals.cost_usd > budget.remaining_usd;
+  if (overBudget && budget.on_exceed === "reject") {
+    discardUploads(req);
+    return res.status(402).json({ error: "Job would exceed the monthly budget", budget, estimate });
+  }
+
+  const job = newJob(input, req.auth.workspaceId);
+  const jobId = job.id;
+  job.product_images = attachProductImages(jobId, req.productImages);
+  job.brand_guide = attachBrandGuide(jobId, req.brandGuide);
+  job.estimate = { cost_usd: estimate.totals.cost_usd, images: estimate.totals.images };
+  job.callback_url = callbackUrl;
+  if (overBudget) {
+    job.status = "paused";
+    job.error = `Paused: estimated $${estimate.totals.cost_usd} exceeds the $${budget.remaining_usd} left this month`;
+  }
+
+  jobs.set(jobId, job);
+  saveJobToFile(job);
+  console.log(`Created job ${jobId}, total jobs in memory: ${jobs.size}`);
+
+  if (!overBudget) enqueueJob(jobId);
+
+  res.json({ jobId, status: job.status });
+});
+
+// Same input as POST /api/jobs (product photos only count towards reference tokens)
+app.post("/api/jobs/estimate", uploadJobFiles, (req, res) => {
+  const input = req.body.input_json ? parseInputJson(req.body.input_json) : req.body;
+  discardUploads(req);
+  if (!input) return res.status(400).json({ error: "input_json must be a JSON object" });
+  const inputError = jobInputError(input);
+  if (inputError) return res.status(400).json(inputError);
+
+  let estimate;
+  try {
+    estimate = estimateJobCost(input, req.productImages.length, Boolean(req.brandGuide));
+  } catch (err) {
+    if (err.code !== "provider_unavailable") throw err;
+    return res.status(400).json({ error: err.message });
+  }
+  res.json({ ...estimate, budget: budgetStatus(req.auth.workspaceId) });
+});
+
+app.get("/api/jobs/:id/posts", (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  if (job.status !== "done") return res.status(409).json({ error: `Job is ${job.status}; review after it is done` });
+
+  const posts = reviewPosts(job);
+  res.json({ summary: summarizeReview(job, posts), posts, downloads: withDownloadLinks(job).downloads });
+});
+
+// Body: { status?: "pending"|"approved"|"rejected", caption?, hook?, cta?, alt_text? }
+app.patch("/api/jobs/:id/posts/:postId", async (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  if (job.status !== "done") return res.status(409).json({ error: `Job is ${job.status}; review after it is done` });
+
+  const planJson = readJsonFile(path.join(OUTPUTS_DIR, job.id, "content_plan.json"));
+  const post = planJson?.plan?.posts?.find((p) => p.id === req.params.postId);
+  if (!post) return res.status(404).json({ error: `Post ${req.params.postId} not in plan` });
+
+  const { status, ...fields } = req.body || {};
+  const errors = Object.entries(fields)
+    .filter(([key, value]) => !CAPTION_EDIT_FIELDS.includes(key) || typeof value !== "string")
+    .map(([key]) =>
+      CAPTION_EDIT_FIELDS.includes(key) ? `${key} must be a string` : `${key} is not editable`
+    );
+  if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+    errors.push(`status must be one of ${REVIEW_STATUSES.join(", ")}`);
+  }
+  if (errors.length) return res.status(400).json({ error: "Invalid review update", details: errors });
+
+  // Same lock as regeneration: both rewrite captions.json and job.revisions
+  const edit = await withJobLock(job.id, () => {
+    const edited = Object.keys(fields).length ? editCaption(job, post, fields) : null;
+    if (edited?.errors) return edited;
+
+    // An edited caption has to be signed off again unless this request approves it
+    const nextStatus = status ?? (edited && reviewStatus(job, post.id) === "approved" ? "pending" : undefined);
+    if (nextStatus) setReviewStatus(job, post.id, nextStatus, req.auth.userId || req.auth.apiKeyId);
+
+    jobs.set(job.id, job);
+    saveJobToFile(job);
+    return edited;
+  });
+  if (edit?.errors) return res.status(400).json({ error: "Invalid caption", details: edit.errors });
+  res.json({ post: reviewPosts(job).find((p) => p.id === post.id), compliance: edit?.compliance || null });
+});
+
+// Server-Sent Events: stage transitions, per-image progress, warnings and artifacts as they are written
+app.get("/api/jobs/:id/events", (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  subscribeJobEvents(job, req, res);
+});
+
+// Re-queues a job paused by the budget; it continues from its last checkpoint
+app.post("/api/jobs/:id/resume", (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  if (job.status !== "paused") return res.status(409).json({ error: `Job is ${job.status}, not paused` });
+
+  const budget = budgetStatus(req.auth.workspaceId);
+  if (budget.remaining_usd !== null && budget.remaining_usd <= 0) {
+    return res.status(402).json({ error: "Monthly budget is used up; raise it before resuming", budget });
+  }
+
+  job.status = "queued";
+  delete job.error;
+  saveJobToFile(job);
+  enqueueJob(job.id);
+  res.json({ jobId: job.id, status: job.status });
+});
+
+// Body: { target: "caption"|"editorial_brief"|"image"|"product_brief", feedback?: string }
+app.post("/api/jobs/:id/posts/:postId/regenerate", async (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  if (job.status !== "done") {
+    return res.status(409).json({ error: `Job is ${job.status}; regenerate after it is done` });
+  }
+
+  const { target, feedback } = req.body || {};
+  if (!REGENERATE_TARGETS.includes(target)) {
+    return res.status(400).json({ error: `target must be one of ${REGENERATE_TARGETS.join(", ")}` });
+  }
+
+  const planJson = readJsonFile(path.join(OUTPUTS_DIR, job.id, "content_plan.json"));
+  const post = planJson?.plan?.posts?.find((p) => p.id === req.params.postId);
+  if (!post) return res.status(404).json({ error: `Post ${req.params.postId} not in plan` });
+
+  if (target === "image" && post.visual_mode !== "editorial") {
+    return res.status(400).json({ error: `${post.id} is a ${post.visual_mode} post; use product_brief` });
+  }
+  if (target === "product_brief" && post.visual_mode !== "product_model") {
+    return res.status(400).json({ error: `${post.id} is an ${post.visual_mode} post; use image` });
+  }
+
+  try {
+    res.json(await withJobLock(job.id, () => regeneratePost(job, post, target, feedback)));
+  } catch (err) {
+    console.error(`Regenerate ${target} for ${job.id}/${post.id} failed:`, err.message);
+    res.status(err.code === "budget_exceeded" ? 402 : 502).json({ error: err.message });
+  }
+});
+
+app.get("/api/jobs/:id", (req, res) => {
+  // Loads from file if not in memory; jobs of other workspaces are "not found"
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  res.json(withDownloadLinks(job));
+});
+
+// Outputs, uploads and checkpoints go with it; a running job has to finish first
+app.delete("/api/jobs/:id", (req, res) => {
+  const job = findWorkspaceJob(req.params.id, req.auth.workspaceId);
+  if (!job) return res.status(404).json({ error: "Not found" });
+  const busy = jobBusyError(job);
+  if (busy) return res.status(409).json({ error: busy });
+
+  res.json({ deleted: job.id, freed_bytes: deleteJob(job) });
+});
+
+// ---------------------- Brand profile routes ----------------------
+app.get("/api/brands", (req, res) => {
+  res.json({ brands: listBrandProfiles(req.auth.workspaceId) });
+});
+
+app.get("/api/brands/:slug", (req, res) => {
+  const slug = slugify(req.params.slug);
+  const profile = loadBrandProfile(slug, req.auth.workspaceId) || loadBrandProfile(slug);
+  if (!profile) return res.status(404).json({ error: "Brand not found" });
+  res.json(profile);
+});
+
+// Body: { name, style, editorial, product_model }
+// Stored as workspaces/<workspaceId>/brands/brand_<slugify(name)>.json
+app.post("/api/brands", (req, res) => {
+  const name = req.body?.name || req.body?.brand_id;
+  if (!name) return res.status(400).json({ error: "name is required" });
+
+  const profile = { ...req.body, brand_id: slugify(name) };
+  const errors = validateBrandProfile(profile);
+  if (errors.length) return res.status(400).json({ error: "Invalid brand profile", details: errors });
+
+  if (loadBrandProfile(profile.brand_id, req.auth.workspaceId)) {
+    return res.status(409).json({ error: `Brand ${profile.brand_id} already exists` });
+  }
+
+  saveBrandProfile(profile, req.auth.workspaceId);
+  res.status(201).json(profile);
+});
+
+app.put("/api/brands/:slug", (req, res) => {
+  const slug = slugify(req.params.slug);
+  if (!loadBrandProfile(slug, req.auth.workspaceId)) return res.status(404).json({ error: "Brand not found" });
+
+  const profile = { ...req.body, brand_id: slug };
+  const errors = validateBrandProfile(profile);
+  if (errors.length) return res.status(400).json({ error: "Invalid brand profile", details: errors });
+
+  saveBrandProfile(profile, req.auth.workspaceId);
+  res.json(profile);
+});
+
+app.delete("/api/brands/:slug", (req, res) => {
+  const slug = slugify(req.params.slug);
+  const profilePath = brandProfilePath(slug, req.auth.workspaceId);
+  if (!fs.existsSync(profilePath)) return res.status(404).json({ error: "Brand not found" });
+
+  fs.unlinkSync(profilePath);
+  res.json({ deleted: slug });
+});
+
+// Body: a CSV export (Content-Type: text/csv). ?month=YYYY-MM covers rows that only have a post_id;
+// ?job_id= pins every row to one pack. Unmatched rows are reported back, not stored.
+app.post(
+  "/api/brands/:slug/performance",
+  express.text({ type: ["text/csv", "text/plain", "application/csv"], limit: "5mb" }),
+  (req, res) => {
+    const slug = slugify(req.params.slug);
+    const { month, job_id } = req.query;
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "Send the CSV as the request body (Content-Type: text/csv)" });
+    }
+    if (month && !/^\d{4}-\d{2}$/.test(month)) return res.status(400).json({ error: "month must be YYYY-MM" });
+    const pinned = job_id ? findWorkspaceJob(job_id, req.auth.workspaceId) : null;
+    if (job_id && (pinned?.status !== "done" || jobBrandId(pinned) !== slug)) {
+      return res.status(404).json({ error: `job_id is not a finished ${slug} pack of this workspace` });
+    }
+
+    let rows;
+    try {
+      rows = readMetricsCsv(req.body);
+    } catch (err) {
+      if (err.code === "invalid_csv") return res.status(400).json({ error: err.message });
+      throw err;
+    }
+    const { records, unmatched } = matchMetricRows(rows, slug, req.auth.workspaceId, { month, job_id });
+    const { store, updated } = records.length
+      ? storePerformanceRecords(slug, req.auth.workspaceId, records)
+      : { store: loadPerformance(slug, req.auth.workspaceId), updated: 0 };
+
+    res.json({
+      brand_id: slug,
+      imported: records.length - updated,
+      updated,
+      unmatched,
+      summary: summarizePerformance(store.posts)
+    });
+  }
+);
+
+// Performance report: ?from= / ?to= (YYYY-MM, inclusive); ?format=csv gives one row per post
+app.get("/api/brands/:slug/performance", (req, res) => {
+  const slug = slugify(req.params.slug);
+  const { from, to, format } = req.query;
+  if ([from, to].some((m) => m && !/^\d{4}-\d{2}$/.test(m))) {
+    return res.status(400).json({ error: "from and to must be YYYY-MM" });
+  }
+
+  const records = loadPerformance(slug, req.auth.workspaceId)
+    .posts.filter((r) => (!from || r.month >= from) && (!to || r.month <= to))
+    .sort((a, b) => a.month.localeCompare(b.month) || a.post_id.localeCompare(b.post_id));
+
+  if (format === "csv") {
+    const rows = records.map((r) => [
+      ...PERFORMANCE_CSV_FIELDS.map((f) => r[f]),
+      ...METRIC_FIELDS.map((f) => r.metrics[f]),
+      r.metrics.reach ? Math.round((engagementOf(r) / r.metrics.reach) * 10000) / 10000 : ""
+    ]);
+    const header = [...PERFORMANCE_CSV_FIELDS, ...METRIC_FIELDS, "engagement_rate"];
+    return res.type("text/csv").attachment(`performance_${slug}.csv`).send(toCsv(header, rows));
+  }
+  res.json({ brand_id: slug, from: from || null, to: to || null, summary: summarizePerformance(records), posts: records });
+});
+
+// ---------------------- Prompt template routes ----------------------
+// ?brand= (slug): what a job for that brand runs with; without it, the workspace level
+app.get("/api/prompt-templates", (req, res) => {
+  const brand = req.query.brand ? slugify(String(req.query.brand)) : null;
+  const resolved = resolvePromptTemplates(req.auth.workspaceId, brand);
+  res.json({
+    brand_id: brand,
+    templates: PROMPT_TEMPLATE_KEYS.map((key) => ({
+      key,
+      description: DEFAULT_PROMPT_TEMPLATES[key].description,
+      variables: DEFAULT_PROMPT_TEMPLATES[key].variables,
+      ...resolved[key]
+    }))
+  });
+});
+
+function unknownPromptTemplate(res) {
+  return res.status(404).json({ error: `Unknown prompt template; one of ${PROMPT_TEMPLATE_KEYS.join(", ")}` });
+}
+
+// Active template, the built-in default and the version history of the workspace (and ?brand=) level
+app.get("/api/prompt-templates/:key", (req, res) => {
+  const { key } = req.params;
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) return unknownPromptTemplate(res);
+  const brand = req.query.brand ? slugify(String(req.query.brand)) : null;
+  const store = loadPromptTemplateStore(req.auth.workspaceId);
+  const noVersions = { active_version: null, versions: [] };
+
+  res.json({
+    key,
+    description: DEFAULT_PROMPT_TEMPLATES[key].description,
+    variables: DEFAULT_PROMPT_TEMPLATES[key].variables,
+    active: resolvePromptTemplates(req.auth.workspaceId, brand)[key],
+    default: DEFAULT_PROMPT_TEMPLATES[key].body,
+    workspace: promptTemplateEntry(store, key) || noVersions,
+    ...(brand && { brand: { brand_id: brand, ...(promptTemplateEntry(store, key, brand) || noVersions) } })
+  });
+});
+
+// Body: { template, brand?, note? } — saved as the next version of the workspace (or brand) template and made active
+app.post("/api/prompt-templates/:key/versions", requireOwner, (req, res) => {
+  const { key } = req.params;
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) return unknownPromptTemplate(res);
+  const { template, note } = req.body || {};
+  const brand = req.body?.brand ? slugify(String(req.body.brand)) : null;
+
+  const errors = validatePromptTemplate(key, template);
+  if (note !== undefined && typeof note !== "string") errors.push("note must be a string");
+  if (errors.length) return res.status(400).json({ error: "Invalid prompt template", details: errors });
+
+  const version = savePromptTemplateVersion(req.auth.workspaceId, key, brand, template, {
+    note,
+    createdBy: req.auth.userId || req.auth.apiKeyId
+  });
+  res.status(201).json({ key, brand_id: brand, ...version });
+});
+
+// Body: { version, brand? } — rolls back (or forward) to a saved version; version null falls back to the
+// workspace template (brand level) or the built-in default
+app.put("/api/prompt-templates/:key/active", requireOwner, (req, res) => {
+  const { key } = req.params;
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) return unknownPromptTemplate(res);
+  const { version } = req.body || {};
+  const brand = req.body?.brand ? slugify(String(req.body.brand)) : null;
+  if (version !== null && !(Number.isInteger(version) && version > 0)) {
+    return res.status(400).json({ error: "version must be a version number or null" });
+  }
+  // Versions saved before a check was added may not pass it any more
+  const saved = promptTemplateEntry(loadPromptTemplateStore(req.auth.workspaceId), key, brand)?.versions.find(
+    (v) => v.version === version
+  );
+  const errors = saved ? validatePromptTemplate(key, saved.body) : [];
+  if (errors.length) {
+    return res.status(400).json({ error: `Version ${version} is not a valid template`, details: errors });
+  }
+
+  const entry = setActivePromptTemplate(req.auth.workspaceId, key, brand, version);
+  if (!entry) {
+    const missing = version === null ? `No saved ${key} template` : `No version ${version} of ${key}`;
+    return res.status(404).json({ error: `${missing} at this level` });
+  }
+  res.json({ key, brand_id: brand, active: resolvePromptTemplates(req.auth.workspaceId, brand)[key] });
+});
+
+// Body: { template?, brand?, input?, plan?, captions?, visual?, platform? } — renders `template` (default: the
+// active one) against input (a job input; default: a sample) without calling a model
+app.post("/api/prompt-templates/:key/preview", (req, res) => {
+  const { key } = req.params;
+  if (!PROMPT_TEMPLATE_KEYS.includes(key)) return unknownPromptTemplate(res);
+  const { template, plan, captions, visual } = req.body || {};
+  const requestedBrand = req.body?.brand ? slugify(String(req.body.brand)) : null;
+  const input = req.body?.input ?? promptPreviewInput(requestedBrand);
+
+  const errors = [];
+  if (!input?.brand?.name || !input.campaign?.month || !input.campaign.posts_count) {
+    errors.push("input needs brand.name, campaign.month and campaign.posts_count");
+  }
+  for (const [name, value] of Object.entries({ plan, captions, visual })) {
+    if (value !== undefined && (!value || typeof value !== "object" || Array.isArray(value))) {
+      errors.push(`${name} must be a JSON object`);
+    }
+  }
+  if (template !== undefined) errors.push(...validatePromptTemplate(key, template));
+  if (errors.length) return res.status(400).json({ error: "Invalid preview", details: errors });
+  const inputError = jobInputError(input);
+  if (inputError) return res.status(400).json(inputError);
+
+  const platform = req.body?.platform || resolvePlatforms(input)[0];
+  if (!PLATFORMS.includes(platform)) {
+    return res.status(400).json({ error: `platform must be one of ${PLATFORMS.join(", ")}` });
+  }
+
+  const brand = requestedBrand || makeDefaultBrandStyle(input).brand_id;
+  const resolved = resolvePromptTemplates(req.auth.workspaceId, brand);
+  const templates =
+    template === undefined ? resolved : { ...resolved, [key]: { source: "preview", body: template } };
+  const prompt = renderPromptPreview(key, templates, input, req.auth.workspaceId, { plan, captions, visual, platform });
+  res.json({ key, brand_id: brand, template: promptTemplateRefs(templates)[key], platform, prompt });
+});
+
+// Serve outputs (signed link or a session/API key of the owning workspace)
+app.get("/downloads/:jobId/*filePath", requireDownloadAccess, (req, res) => {
+  res.sendFile(req.params.filePath.join("/"), { root: path.resolve(OUTPUTS_DIR, req.params.jobId) }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 404).json({ error: "File not found" });
+  });
+});
+
+// Approved posts only; ?include=all zips the whole working folder (unreviewed drafts included)
+app.get("/downloads/:jobId.zip", requireDownloadAccess, (req, res) => {
+  const { jobId } = req.params;
+  const outDir = path.join(OUTPUTS_DIR, jobId);
+  const job = jobs.get(jobId) || loadJobFromFile(jobId);
+
+  if (!job || !fs.existsSync(outDir)) {
     return res.status(404).json({ error: "Job not found" });
   }
 
+  const includeAll = req.query.include === "all";
+  if (!includeAll && !approvedPostIds(job).size) {
+    return res.status(409).json({ error: "No approved posts yet; approve posts in review, or use include=all" });
+  }
+
   res.setHeader("Content-Type", "application/zip");
   res.setHeader("Content-Disposition", `attachment; filename=Stay_Contented_${jobId}.zip`);
 
@@ -537,14 +6795,61 @@ app.get("/downloads/:jobId.zip", (req, res) => {
   });
 
   archive.pipe(res);
-  archive.directory(outDir, false);
+  if (includeAll) {
+    archive.directory(outDir, false);
+  } else {
+    for (const entry of approvedPackEntries(job, outDir)) {
+      if (entry.file) archive.file(entry.file, { name: entry.name });
+      else archive.append(entry.content, { name: entry.name });
+    }
+  }
   archive.finalize();
 });
 
 
 // ---------------------- Start ----------------------
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log("Listening on", PORT);
-});
+// cli.js imports the pipeline with STAY_CONTENTED_EMBEDDED=true: no HTTP server, no job resumption or sweeps
+export {
+  jobs,
+  newJob,
+  saveJobToFile,
+  jobInputError,
+  estimateJobCost,
+  runJob,
+  getProvider,
+  lintCaption,
+  buildPublishSchedule,
+  parseCsv,
+  readMetricsCsv,
+  matchMetricRows,
+  buildPerformanceInsights,
+  validatePromptTemplate,
+  DEFAULT_PROMPT_TEMPLATES,
+  regeneratePost,
+  editCaption,
+  withJobLock,
+  sweepRetention,
+  isPrivateAddress,
+  approvedPackEntries,
+  promptPreviewInput,
+  renderPromptPreview
+};
+
+if (process.env.STAY_CONTENTED_EMBEDDED !== "true") {
+  if (!process.env.AUTH_SECRET && process.env.NODE_ENV === "production") {
+    console.error("AUTH_SECRET must be set when NODE_ENV=production");
+    process.exit(1);
+  }
+  if (!process.env.AUTH_SECRET) {
+    console.warn("AUTH_SECRET not set; sessions and download links will not survive a restart");
+  }
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log("Listening on", PORT);
+    resumeInterruptedJobs();
+    resumeWebhookDeliveries();
+    sweepRetention();
+    setInterval(sweepRetention, RETENTION_SWEEP_MS).unref();
+  });
+}
 
@@ -0,0 +1,64 @@
+// Claim rules of the compliance linter: real claims fail, ordinary copy passes
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, removeTmpDir } from "./setup.js";
+
+const { lintCaption } = await loadServer();
+after(removeTmpDir);
+
+const brandContext = (industry = "coaching") => ({
+  brand: { name: "Acme", industry },
+  campaign: { month: "2026-03", posts_count: 4, compliance: { no_income_claims: true, no_medical_claims: true } }
+});
+
+function claimRules(caption, industry) {
+  return lintCaption({ caption }, brandContext(industry), "instagram")
+    .filter((v) => v.severity === "error")
+    .map((v) => v.rule);
+}
+
+test("ordinary copy is not a claim", () => {
+  for (const caption of [
+    "Make 3 small changes this week.",
+    "Earn 2 minutes back each morning with a simpler routine.",
+    "Treat yourself to a slow Sunday.",
+    "A weekly review prevents burnout.",
+    "Our studio treats every client like family.",
+    "Making 5 calls a day keeps the pipeline warm.",
+    "Only $20 a month, cancel anytime.",
+    "Let's diagnose what slows your mornings down."
+  ]) {
+    assert.deepEqual(claimRules(caption), [], caption);
+  }
+});
+
+test("earnings claims are flagged", () => {
+  for (const caption of [
+    "Students earn $5,000 in their first month.",
+    "How I made over $10k with one offer.",
+    "Make 2000 dollars from home.",
+    "Clients see 30% more revenue in a quarter.",
+    "This framework will double your income.",
+    "$3k in passive income while you sleep."
+  ]) {
+    assert.ok(claimRules(caption).includes("income_claim"), caption);
+  }
+});
+
+test("treatment claims need a named condition", () => {
+  for (const caption of [
+    "This serum cures acne overnight.",
+    "Our tea treats anxiety naturally.",
+    "The only remedy for eczema you need.",
+    "Prevents the flu all winter."
+  ]) {
+    assert.ok(claimRules(caption).includes("medical_claim"), caption);
+  }
+  assert.deepEqual(claimRules("Heals your relationship with mornings."), []);
+});
+
+test("industry packs still apply on top of the flags", () => {
+  assert.ok(claimRules("It can erase wrinkles in a week.", "skincare").includes("skincare"));
+  assert.ok(claimRules("Guaranteed returns, every year.", "finance").includes("finance"));
+  assert.ok(claimRules("Results guaranteed.").includes("guarantee_claim"));
+});
@@ -0,0 +1,106 @@
+// Brand ingestion against a local fixture site (test/fixtures/site), on the mock provider
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+const SITE_DIR = new URL("./fixtures/site/", import.meta.url);
+const TYPES = { ".html": "text/html; charset=utf-8", ".css": "text/css" };
+
+// Fixture files, plus a redirect and a failing page
+let requests = 0;
+const site = http.createServer((req, res) => {
+  requests++;
+  const { pathname } = new URL(req.url, "http://fixture");
+  if (pathname === "/old-home") return res.writeHead(301, { Location: "/" }).end();
+  if (pathname === "/down") return res.writeHead(503).end("unavailable");
+  const file = new URL(pathname === "/" ? "index.html" : pathname.slice(1), SITE_DIR);
+  if (!fs.existsSync(file)) return res.writeHead(404).end();
+  res.writeHead(200, { "Content-Type": TYPES[path.extname(file.pathname)] || "text/plain" });
+  res.end(fs.readFileSync(file));
+});
+
+// The fixture listens on 127.0.0.1, which ingestion refuses unless private hosts are allowed
+const server = await loadServer({ INGEST_ALLOW_PRIVATE_HOSTS: "true" });
+let base;
+before(async () => {
+  await new Promise((resolve) => site.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${site.address().port}`;
+});
+after(() => {
+  site.close();
+  removeTmpDir();
+});
+
+async function runWithWebsite(website, brand = {}, options = {}, stages = ["ingest", "plan"]) {
+  const input = fixture("acme.json");
+  return runMockJob({ ...input, brand: { ...input.brand, ...brand, website }, stages }, options);
+}
+
+// "localhost" (not an IP literal) goes through the pinned DNS lookup of the connection
+test("crawls the site and prefills the brand context", async () => {
+  const { job, outDir } = await runWithWebsite(`${base.replace("127.0.0.1", "localhost")}/old-home`);
+  assert.equal(job.status, "done", job.error);
+  assert.ok(job.completed_steps.includes("ingest"));
+
+  const context = JSON.parse(fs.readFileSync(path.join(outDir, "brand_context.json"), "utf8"));
+  assert.deepEqual(
+    context.sources.map((s) => new URL(s.url).pathname),
+    ["/", "/about.html"]
+  );
+  assert.ok(context.colors.includes("#2F6F5E"), context.colors.join(", "));
+  assert.ok(context.vocabulary.includes("sensitive"));
+  assert.ok(context.brand_context.offer_summary);
+
+  // The first ingestion of a brand seeds a valid style profile
+  const profile = JSON.parse(fs.readFileSync(path.join(process.env.BRANDS_DIR, "brand_acme.json"), "utf8"));
+  assert.equal(profile.source, undefined);
+  assert.ok(profile.style.palette.length >= 2);
+});
+
+test("a failed ingestion is not checkpointed, so a resume retries it", async () => {
+  const { job, outDir } = await runWithWebsite(`${base}/down`);
+  assert.equal(job.status, "done", job.error);
+  assert.ok(!job.completed_steps.includes("ingest"));
+  assert.ok(fs.existsSync(path.join(outDir, "content_plan.json")));
+});
+
+test("stages: [\"ingest\"] stops after ingestion", async () => {
+  const { job, outDir } = await runWithWebsite(base, { name: "Ingest Only" }, {}, ["ingest"]);
+  assert.equal(job.status, "done", job.error);
+  assert.ok(fs.existsSync(path.join(outDir, "brand_context.json")));
+  assert.ok(!fs.existsSync(path.join(outDir, "content_plan.json")));
+  assert.equal(job.downloadUrl, `/downloads/${job.id}/brand_context.json`);
+});
+
+test("a dry run fetches nothing and saves no profile", async () => {
+  const before = requests;
+  const { job } = await runWithWebsite(base, { name: "Dry Brand" }, { dryRun: true });
+  assert.equal(job.status, "done", job.error);
+  assert.equal(requests, before);
+  assert.ok(!fs.existsSync(path.join(process.env.BRANDS_DIR, "brand_dry-brand.json")));
+});
+
+test("private, reserved and IPv4-mapped addresses are refused", () => {
+  for (const address of [
+    "127.0.0.1",
+    "169.254.169.254",
+    "198.18.0.1",
+    "192.0.0.170",
+    "224.0.0.251",
+    "::1",
+    "fd12::1",
+    "64:ff9b::7f00:1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+    "0:0:0:0:0:ffff:a00:1"
+  ]) {
+    assert.ok(server.isPrivateAddress(address), address);
+  }
+  for (const address of ["93.184.216.34", "::ffff:5db8:d822", "2606:4700::1111"]) {
+    assert.ok(!server.isPrivateAddress(address), address);
+  }
+});
@@ -0,0 +1,35 @@
+// Secondary locales follow caption edits and regenerations of the primary post
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const input = fixture("acme.json");
+const { job, outDir } = await runMockJob({
+  ...input,
+  campaign: { ...input.campaign, locales: ["en", "es"] },
+  stages: ["plan", "captions", "editorial_visuals", "localize"]
+});
+const post = JSON.parse(fs.readFileSync(path.join(outDir, "content_plan.json"), "utf8")).plan.posts[0];
+
+const captionIn = (file) =>
+  JSON.parse(fs.readFileSync(path.join(outDir, file), "utf8")).captions.find((c) => c.id === post.id);
+
+test("a manual edit flags the locale captions as stale", () => {
+  assert.equal(job.status, "done", job.error);
+  server.editCaption(job, post, { caption: `${captionIn("captions.json").caption} Edited.` });
+  assert.deepEqual(job.stale[post.id], ["captions.es.json"]);
+});
+
+test("regenerating the caption re-localizes it and clears the flag", async () => {
+  const regenerated = await server.regeneratePost(job, post, "caption", "");
+  assert.equal(captionIn("captions.es.json").caption, `[es] ${regenerated.result.caption}`);
+  assert.deepEqual(regenerated.stale, []);
+
+  const report = JSON.parse(fs.readFileSync(path.join(outDir, "compliance_report.json"), "utf8"));
+  assert.equal(report.posts.filter((p) => p.id === post.id && p.locale === "es").length, 1);
+});
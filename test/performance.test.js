@@ -0,0 +1,106 @@
+// Metrics import: CSV parsing, matching rows to past posts and the planning summary
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const WORKSPACE = "ws-test";
+
+// A finished February pack for "Acme": P01 and P02 share a day, P03 has its own
+function addPack(id, name, month) {
+  const posts = [
+    { id: "P01", post_type: "educational", publish_date: `${month}-03`, publish_time: "09:00", topic: "Routines" },
+    { id: "P02", post_type: "promotional", publish_date: `${month}-03`, publish_time: "15:00", topic: "Offer" },
+    { id: "P03", post_type: "relatable", publish_date: `${month}-05`, publish_time: "09:00", topic: "Mornings" }
+  ];
+  const outDir = path.join(process.env.OUTPUTS_DIR, id);
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, "content_plan.json"), JSON.stringify({ plan: { posts } }));
+  fs.writeFileSync(
+    path.join(outDir, "captions.json"),
+    JSON.stringify({ captions: posts.map((p) => ({ id: p.id, hook: `Hook ${p.id}`, cta: "Save this" })) })
+  );
+  server.jobs.set(id, {
+    id,
+    status: "done",
+    workspace_id: WORKSPACE,
+    finishedAt: Date.now(),
+    input: { brand: { name }, campaign: { month } }
+  });
+}
+addPack("pack-acme", "Acme", "2026-02");
+addPack("pack-other", "Other Brand", "2026-02");
+
+test("parseCsv handles quotes, escaped quotes, newlines, CRLF, BOM and ; exports", () => {
+  assert.deepEqual(server.parseCsv('﻿a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",2\r\n\r\n'), [
+    ["a", "b"],
+    ["x, y", 'say "hi"'],
+    ["multi\nline", "2"]
+  ]);
+  assert.deepEqual(server.parseCsv("post_id;reach\nP01;1,200"), [
+    ["post_id", "reach"],
+    ["P01", "1,200"]
+  ]);
+});
+
+test("readMetricsCsv maps column aliases and rejects files without usable columns", () => {
+  const rows = server.readMetricsCsv("Post ID,Accounts reached,Saved,Comments\nP01,1000,20,5\n");
+  assert.deepEqual(rows, [{ line: 2, values: { post_id: "P01", reach: "1000", saves: "20", comments: "5" } }]);
+  assert.throws(() => server.readMetricsCsv("caption,likes\nhello,3"), /CSV needs a column/);
+});
+
+test("matchMetricRows matches by post_id, by date and hour, and reports the rest", () => {
+  const rows = server.readMetricsCsv(
+    [
+      "post_id,date,reach,saves",
+      "P03,,500,10",
+      ",2026-02-03 15:05,800,40",
+      ",2026-02-03,800,40",
+      ",2026-02-05,300,-1",
+      "P09,,100,1",
+      ",2026-01-10,100,1"
+    ].join("\n")
+  );
+  const { records, unmatched } = server.matchMetricRows(rows, "acme", WORKSPACE, { month: "2026-02" });
+
+  assert.deepEqual(
+    records.map((r) => [r.job_id, r.post_id, r.hook, r.metrics.reach]),
+    [
+      ["pack-acme", "P03", "Hook P03", 500],
+      ["pack-acme", "P02", "Hook P02", 800]
+    ]
+  );
+  assert.deepEqual(
+    unmatched.map((u) => u.line),
+    [4, 5, 6, 7]
+  );
+  assert.match(unmatched[0].reason, /P01, P02 were all scheduled/);
+  assert.match(unmatched[3].reason, /no finished acme pack for 2026-01/);
+});
+
+test("a pinned job_id must be one of the brand's packs", () => {
+  const rows = server.readMetricsCsv("post_id,reach\nP01,100");
+  assert.equal(server.matchMetricRows(rows, "acme", WORKSPACE, { job_id: "pack-acme" }).records.length, 1);
+  const other = server.matchMetricRows(rows, "acme", WORKSPACE, { job_id: "pack-other" });
+  assert.equal(other.records.length, 0);
+  assert.match(other.unmatched[0].reason, /not a acme pack/);
+});
+
+test("planning insights follow the job's brand id, not the ingested brand name", () => {
+  const rows = server.readMetricsCsv("post_id,reach,saves\nP01,1000,50\nP02,1000,10\nP03,1000,30");
+  const { records } = server.matchMetricRows(rows, "acme", WORKSPACE, { month: "2026-02" });
+  const storePath = path.join(process.env.WORKSPACES_DIR, WORKSPACE, "brands", "performance_acme.json");
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify({ brand_id: "acme", posts: records }));
+
+  const job = { workspace_id: WORKSPACE, input: { brand: { name: "Acme" }, campaign: { month: "2026-03" } } };
+  const ingested = { brand: { name: "Acme Skincare Studio" }, campaign: { month: "2026-03" } };
+  const insights = server.buildPerformanceInsights(job, ingested);
+  assert.equal(insights?.brand_id, "acme");
+  assert.equal(insights.posts, 3);
+  assert.equal(insights.post_types[0].value, "educational");
+});
@@ -0,0 +1,99 @@
+// Full pipeline on the mock provider (offline fixtures + placeholder PNGs), as CI runs it
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, listFiles, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const PACK_FILES = [
+  "content_plan.json",
+  "captions.json",
+  "compliance_report.json",
+  "editorial_visuals.json",
+  "editorial_visuals_compiled.json",
+  "product_model_briefs.json",
+  "formats.json",
+  "brand_style.json",
+  "prompt_templates.json",
+  "validation_report.json",
+  "visual_qa.json",
+  "calendar.ics",
+  "schedule.csv",
+  "bulk_upload.csv"
+];
+
+test("a mock run writes the full pack", async () => {
+  const input = fixture("acme.json");
+  const { job, outDir } = await runMockJob(input);
+  assert.equal(job.status, "done", job.error);
+
+  const files = listFiles(outDir);
+  for (const file of PACK_FILES) assert.ok(files.includes(file), `missing ${file}`);
+
+  const plan = JSON.parse(fs.readFileSync(path.join(outDir, "content_plan.json"), "utf8")).plan;
+  assert.equal(plan.posts.length, input.campaign.posts_count);
+  for (const post of plan.posts) {
+    assert.ok(files.includes(`Editorial_Posts/${post.id}.png`), `missing image for ${post.id}`);
+    assert.ok(files.includes(`Editorial_Posts/${post.id}.svg`), `missing SVG for ${post.id}`);
+  }
+  // Every non-single format is expanded into its own folder
+  for (const post of plan.posts.filter((p) => p.recommended_format === "carousel")) {
+    assert.ok(files.some((f) => f.startsWith(`Carousels/${post.id}/`)), `missing carousel ${post.id}`);
+  }
+
+  const captions = JSON.parse(fs.readFileSync(path.join(outDir, "captions.json"), "utf8")).captions;
+  assert.deepEqual(
+    captions.map((c) => c.id),
+    plan.posts.map((p) => p.id)
+  );
+  assert.equal(job.compliance.failed, 0);
+  assert.ok(job.usage.totals.input_tokens > 0);
+});
+
+test("the approved-only pack leaves out unapproved posts and unlisted files", async () => {
+  const { job, outDir } = await runMockJob(fixture("acme.json"));
+  fs.writeFileSync(path.join(outDir, "notes.txt"), "internal");
+  job.review = { P01: { status: "approved" }, P02: { status: "rejected" } };
+
+  const entries = server.approvedPackEntries(job, outDir);
+  const names = entries.map((e) => e.name);
+  assert.ok(names.includes("Editorial_Posts/P01.png"));
+  assert.ok(names.includes("brand_style.json"));
+  assert.ok(!names.some((n) => n.includes("P02")), names.join(", "));
+  assert.ok(!names.includes("notes.txt"));
+
+  const report = JSON.parse(entries.find((e) => e.name === "validation_report.json").content);
+  assert.ok(report.stages.length);
+  for (const stage of report.stages) assert.deepEqual(Object.keys(stage), ["stage", "valid", "repair_turns"]);
+  const captions = JSON.parse(entries.find((e) => e.name === "captions.json").content).captions;
+  assert.deepEqual(
+    captions.map((c) => c.id),
+    ["P01"]
+  );
+});
+
+test("input.stages stops after the last listed stage", async () => {
+  const { job, outDir } = await runMockJob({ ...fixture("acme.json"), stages: ["plan", "captions"] });
+  assert.equal(job.status, "done", job.error);
+
+  const files = listFiles(outDir);
+  assert.ok(files.includes("content_plan.json"));
+  assert.ok(files.includes("captions.json"));
+  assert.ok(!files.includes("editorial_visuals.json"));
+  assert.ok(!files.some((f) => f.startsWith("Editorial_Posts/")));
+});
+
+test("inputs without a brand name or campaign month are rejected", () => {
+  for (const input of [{}, { brand: { name: "Acme" } }, { ...fixture("acme.json"), brand: {} }]) {
+    assert.equal(server.jobInputError(input)?.error, "Invalid input", JSON.stringify(input));
+  }
+  const { campaign } = fixture("acme.json");
+  assert.deepEqual(server.jobInputError({ ...fixture("acme.json"), campaign: { ...campaign, month: "2026-13" } }), {
+    error: "Invalid input",
+    details: ["campaign.month must be YYYY-MM"]
+  });
+  assert.equal(server.jobInputError(fixture("acme.json")), null);
+});
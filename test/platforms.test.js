@@ -0,0 +1,45 @@
+// Secondary platform variants stay in step with edits and regenerations of the primary post
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const input = fixture("acme.json");
+const { job, outDir } = await runMockJob({
+  ...input,
+  campaign: { ...input.campaign, platforms: ["instagram", "linkedin"] },
+  stages: ["plan", "captions"]
+});
+const linkedinPath = path.join(outDir, "Platforms/linkedin/captions.json");
+const post = JSON.parse(fs.readFileSync(path.join(outDir, "content_plan.json"), "utf8")).plan.posts[0];
+
+const linkedinCaption = () =>
+  JSON.parse(fs.readFileSync(linkedinPath, "utf8")).captions.find((c) => c.id === post.id);
+
+test("a manual edit flags the other platforms' captions as stale", () => {
+  assert.equal(job.status, "done", job.error);
+  const edit = server.editCaption(job, post, { hook: "Edited hook" });
+  assert.equal(edit.caption.hook, "Edited hook");
+  assert.deepEqual(job.stale[post.id], ["Platforms/linkedin/captions.json"]);
+});
+
+test("regenerating the caption rewrites every platform and clears the flag", async () => {
+  const captionsJson = JSON.parse(fs.readFileSync(linkedinPath, "utf8"));
+  captionsJson.captions.find((c) => c.id === post.id).caption = "Outdated";
+  fs.writeFileSync(linkedinPath, JSON.stringify(captionsJson));
+
+  const regenerated = await server.regeneratePost(job, post, "caption", "");
+  assert.notEqual(linkedinCaption().caption, "Outdated");
+  assert.deepEqual(regenerated.stale, []);
+  assert.equal(job.stale[post.id], undefined);
+});
+
+test("primary_platform must be a known platform", () => {
+  const error = server.jobInputError({ ...input, campaign: { ...input.campaign, primary_platform: "myspace" } });
+  assert.equal(error?.error, "Invalid platforms");
+  assert.equal(server.jobInputError({ ...input, campaign: { ...input.campaign, primary_platform: "x" } }), null);
+});
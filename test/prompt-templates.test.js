@@ -0,0 +1,52 @@
+// Prompt template overrides: tag syntax, known variables and what a JSON stage's template has to keep
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, removeTmpDir } from "./setup.js";
+
+const { validatePromptTemplate, DEFAULT_PROMPT_TEMPLATES, promptPreviewInput, renderPromptPreview } =
+  await loadServer();
+after(removeTmpDir);
+
+test("the built-in templates are valid overrides", () => {
+  for (const [key, { body }] of Object.entries(DEFAULT_PROMPT_TEMPLATES)) {
+    assert.deepEqual(validatePromptTemplate(key, body), [], key);
+  }
+});
+
+test("an override may reword the instructions", () => {
+  const body = DEFAULT_PROMPT_TEMPLATES.captions.body.replace("No emojis, no hashtags", "Up to two emojis");
+  assert.deepEqual(validatePromptTemplate("captions", body), []);
+});
+
+test("an override can't drop the stage's input variables", () => {
+  const body = DEFAULT_PROMPT_TEMPLATES.captions.body.replace("{{brand_context}}", "").replace("{{plan}}", "");
+  assert.deepEqual(validatePromptTemplate("captions", body), ["{{brand_context}} is required", "{{plan}} is required"]);
+  assert.ok(
+    validatePromptTemplate("editorial_visuals", "Write briefs for {{brand_context}} {{plan}}").includes(
+      "{{captions}} is required"
+    )
+  );
+});
+
+test("an override can't drop the JSON schema", () => {
+  const body = DEFAULT_PROMPT_TEMPLATES.plan.body.replace(/Return JSON only[\s\S]*?\n\n/, "Return a plan.\n\n");
+  const errors = validatePromptTemplate("plan", body);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /"plan", "posts", "id", "post_type", "topic", "cta_type"/);
+});
+
+test("tags must be known and balanced", () => {
+  const errors = validatePromptTemplate("editorial_image", "{{#palette}}{{palette}} {{colour}}");
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^\{\{colour\}\}: unknown variable/);
+  assert.equal(errors[1], "{{#palette}} is never closed");
+});
+
+test("a brand preview is named after the brand's slug, so it resolves to that brand", () => {
+  const input = promptPreviewInput("acme");
+  assert.equal(input.brand.name, "acme");
+  assert.match(input.campaign.month, /^\d{4}-\d{2}$/);
+  const prompt = renderPromptPreview("plan", DEFAULT_PROMPT_TEMPLATES, input, null);
+  assert.ok(prompt.includes('"name":"acme"'));
+  assert.equal(promptPreviewInput(null).brand.name, "Sample Brand");
+});
@@ -0,0 +1,56 @@
+// Post regeneration on a finished mock job: versions and revisions under concurrent requests
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const { job, outDir } = await runMockJob({ ...fixture("acme.json"), stages: ["plan", "captions"] });
+const post = JSON.parse(fs.readFileSync(path.join(outDir, "content_plan.json"), "utf8")).plan.posts[0];
+
+test("concurrent regenerations of a job are serialized", async () => {
+  assert.equal(job.status, "done", job.error);
+  const results = await Promise.all(
+    ["shorter", "warmer", "add a question"].map((feedback) =>
+      server.withJobLock(job.id, () => server.regeneratePost(job, post, "caption", feedback))
+    )
+  );
+
+  assert.deepEqual(
+    results.map((r) => r.version),
+    [2, 3, 4]
+  );
+  assert.deepEqual(
+    job.revisions.map((r) => r.feedback),
+    ["shorter", "warmer", "add a question"]
+  );
+  for (const r of results) assert.ok(fs.existsSync(path.join(outDir, r.archived)), r.archived);
+  const saved = JSON.parse(fs.readFileSync(path.join("jobs", job.id, "job.json"), "utf8"));
+  assert.equal(saved.revisions.length, 3);
+});
+
+test("caption edits queue behind a running regeneration", async () => {
+  const before = job.revisions.length;
+  const [regenerated, edited] = await Promise.all([
+    server.withJobLock(job.id, () => server.regeneratePost(job, post, "caption", "")),
+    server.withJobLock(job.id, () => server.editCaption(job, post, { hook: "Edited hook" }))
+  ]);
+
+  assert.equal(edited.caption.hook, "Edited hook");
+  assert.deepEqual(
+    job.revisions.slice(before).map((r) => r.version),
+    [regenerated.version - 1, regenerated.version]
+  );
+  const captions = JSON.parse(fs.readFileSync(path.join(outDir, "captions.json"), "utf8")).captions;
+  assert.equal(captions.find((c) => c.id === post.id).hook, "Edited hook");
+});
+
+test("a failed regeneration archives nothing", async () => {
+  const before = job.revisions.length;
+  await assert.rejects(server.withJobLock(job.id, () => server.regeneratePost(job, post, "image", "")));
+  assert.equal(job.revisions.length, before);
+  assert.ok(!fs.existsSync(path.join(outDir, "versions", post.id, "image.v1.png")));
+});
@@ -0,0 +1,46 @@
+// Retention sweep: which expired jobs it deletes, and which it has to leave alone
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+const server = await loadServer({ JOB_RETENTION_DAYS: "1" });
+after(removeTmpDir);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function oldJob(status) {
+  const { job } = await runMockJob({ ...fixture("acme.json"), stages: ["plan"] });
+  Object.assign(job, { status, finishedAt: Date.now() - 2 * DAY_MS });
+  return job;
+}
+
+const kept = (job) => server.jobs.has(job.id) && fs.existsSync(path.join(process.env.OUTPUTS_DIR, job.id));
+
+test("expired done and failed jobs are swept, paused jobs are kept", async () => {
+  const done = await oldJob("done");
+  const failed = await oldJob("error");
+  const paused = await oldJob("paused");
+
+  server.sweepRetention();
+  assert.ok(!kept(done));
+  assert.ok(!kept(failed));
+  assert.ok(kept(paused));
+});
+
+test("a job whose lock is held is not swept until it is released", async () => {
+  const job = await oldJob("done");
+  let release;
+  const locked = server.withJobLock(job.id, () => new Promise((resolve) => (release = resolve)));
+  await new Promise(setImmediate);
+
+  server.sweepRetention();
+  assert.ok(kept(job));
+
+  release();
+  await locked;
+  await new Promise(setImmediate);
+  server.sweepRetention();
+  assert.ok(!kept(job));
+});
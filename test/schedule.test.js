@@ -0,0 +1,34 @@
+// Publishing slots within campaign.month: every post gets its own date and time
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, removeTmpDir } from "./setup.js";
+
+const server = await loadServer();
+after(removeTmpDir);
+
+const postsOf = (n) => Array.from({ length: n }, (_, i) => ({ id: `P${String(i + 1).padStart(2, "0")}` }));
+const slotKeys = (slots) => slots.map((s) => `${s.publish_date} ${s.publish_time}`);
+
+test("posts never share a slot", () => {
+  for (const [count, schedule] of [
+    [16, undefined],
+    [30, undefined],
+    [12, { weekdays: ["mon", "thu"], hours: ["09:00", "17:30"] }],
+    [8, { weekdays: ["sat"], hours: ["10:00", "14:00"], timezone: "Europe/Berlin" }]
+  ]) {
+    const slots = server.buildPublishSchedule({ campaign: { month: "2026-03", schedule } }, postsOf(count));
+    assert.equal(new Set(slotKeys(slots)).size, count, JSON.stringify(schedule));
+    assert.ok(slots.every((s) => s.publish_date.startsWith("2026-03-")));
+  }
+});
+
+test("a schedule with fewer slots than posts is rejected", () => {
+  const campaign = { month: "2026-03", posts_count: 16, schedule: { weekdays: ["mon"], hours: ["09:00"] } };
+  const error = server.jobInputError({ brand: { name: "Acme" }, campaign });
+  assert.equal(error?.error, "Invalid schedule");
+  assert.match(error.details[0], /5 publishing slot\(s\) for 16 posts/);
+  assert.throws(() => server.buildPublishSchedule({ campaign }, postsOf(16)), /publishing slot/);
+
+  campaign.schedule.hours.push("18:00", "20:00", "21:00");
+  assert.equal(server.jobInputError({ brand: { name: "Acme" }, campaign }), null);
+});
@@ -0,0 +1,51 @@
+/**
+ * Loads server.js the way cli.js does (STAY_CONTENTED_EMBEDDED, no HTTP server) inside a throwaway
+ * working directory, so jobs/, outputs, brands and workspaces never touch the repo.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "stay-contented-test-"));
+
+export function fixture(name) {
+  return JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"));
+}
+
+let server;
+
+export async function loadServer(env = {}) {
+  process.chdir(tmpDir);
+  Object.assign(process.env, {
+    STAY_CONTENTED_EMBEDDED: "true",
+    MODEL_PROVIDER: "mock",
+    OUTPUTS_DIR: path.join(tmpDir, "outputs"),
+    BRANDS_DIR: path.join(tmpDir, "brands"),
+    WORKSPACES_DIR: path.join(tmpDir, "workspaces"),
+    ...env
+  });
+  server = await import("../server.js");
+  return server;
+}
+
+// Creates, saves and runs a job for input on the loaded server; options go to runJob
+export async function runMockJob(input, options = {}) {
+  const job = server.newJob(input);
+  server.jobs.set(job.id, job);
+  server.saveJobToFile(job);
+  await server.runJob(job.id, options);
+  return { job, outDir: path.join(process.env.OUTPUTS_DIR, job.id) };
+}
+
+export function removeTmpDir() {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+// outDir-relative, "/"-separated paths of every file under dir
+export function listFiles(dir, prefix = "") {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), rel) : [rel];
+  });
+}
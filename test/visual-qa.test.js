@@ -0,0 +1,39 @@
+// Visual QA on the mock provider: the report's scope, and re-scoring after image regenerations
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { loadServer, runMockJob, fixture, removeTmpDir } from "./setup.js";
+
+// The shared OCR worker closes right after each use, so the test process can exit
+const server = await loadServer({ VISUAL_QA_OCR_IDLE_S: "0" });
+after(removeTmpDir);
+
+const input = fixture("acme.json");
+const runTwoPostJob = () => runMockJob({ ...input, campaign: { ...input.campaign, posts_count: 2 } });
+const readReport = (outDir) => JSON.parse(fs.readFileSync(path.join(outDir, "visual_qa.json"), "utf8"));
+
+test("visual_qa.json states which renders it covers", async () => {
+  const { job, outDir } = await runTwoPostJob();
+  assert.equal(job.status, "done", job.error);
+  const report = readReport(outDir);
+  assert.match(report.scope, /^Editorial_Posts\/<id>\.png only/);
+  assert.ok(report.images.every((i) => /^Editorial_Posts\/[^/]+\.png$/.test(i.path)));
+});
+
+test("image regenerations on different jobs re-score through the shared worker", async () => {
+  const runs = [await runTwoPostJob(), await runTwoPostJob()];
+  const results = await Promise.all(
+    runs.map(({ job, outDir }) => {
+      const post = JSON.parse(fs.readFileSync(path.join(outDir, "content_plan.json"), "utf8")).plan.posts[0];
+      return server.withJobLock(job.id, () => server.regeneratePost(job, post, "image"));
+    })
+  );
+  for (const [i, { outDir }] of runs.entries()) {
+    const { result } = results[i];
+    const report = readReport(outDir);
+    assert.deepEqual(report.images.find((img) => img.id === result.id), result.visual_qa);
+    assert.equal(typeof result.visual_qa.score, "number");
+    assert.equal(report.summary.images, 2);
+  }
+});